@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Airtable proxy, plus a static server for the sample page.
+ * No dependencies: `node dev/mock-proxy.js [--port 8787] [--latency 300] [--fail 429] ...`
+ *
+ * Proxy contract (same as production):
+ *   GET  /api/query?AIRTABLE_BASE_ID&AIRTABLE_TABLE&field&q&maxRecords[&fields=...&aliases=...]
+ *   POST /api/query  { AIRTABLE_BASE_ID, AIRTABLE_TABLE, field, q, maxRecords[, fields, aliases] }
+ * -> { records: [{ id, fields }] } where `field` (or any of `fields`) contains `q` (or any of
+ * `aliases`), ignoring case, accents and punctuation.
+ *
+ * Faults come from CLI flags, then /__mock/config (the sample page's toolbar), then
+ * mock_* parameters on the request itself (e.g. AIRTABLE_PROXY_URL '.../api/query?mock_fail=429').
+ */
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEV_DIR = __dirname;
+const REPO_DIR = path.resolve(DEV_DIR, '..');
+const RECORD_ID_FIELD = 'Record ID';
+
+const DEFAULT_SETTINGS = {
+    port: 8787,
+    fixtures: path.join(DEV_DIR, 'fixtures', 'records.json'),
+    // ms, or 'min-max' for a random delay in that range
+    latency: '0',
+    // What a failing request does: 500 | 503 | 429 | 'drop' (socket closed) | 'hang' (no reply) | 'bad-json'
+    fail: 'none',
+    // Share of requests that fail (0..1) once `fail` is set
+    failRate: 1,
+    // Seconds sent in Retry-After with 429/503
+    retryAfter: 1,
+    // Mix malformed records (missing/null/odd-typed fields) into results
+    malformed: false,
+};
+
+// --name value / --name=value / --flag
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) continue;
+        const name = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (match[2] !== undefined) args[name] = match[2];
+        else if (argv[i + 1] && !argv[i + 1].startsWith('--')) args[name] = argv[++i];
+        else args[name] = 'true';
+    }
+    return args;
+}
+
+// Normalize knob values from flags, the config endpoint or mock_* parameters
+function normalizeSettings(raw) {
+    const settings = {};
+    if (raw.latency !== undefined) settings.latency = String(raw.latency);
+    if (raw.fail !== undefined) settings.fail = String(raw.fail || 'none');
+    if (raw.failRate !== undefined) settings.failRate = Math.min(1, Math.max(0, Number(raw.failRate) || 0));
+    if (raw.retryAfter !== undefined) settings.retryAfter = Math.max(0, Number(raw.retryAfter) || 0);
+    if (raw.malformed !== undefined) settings.malformed = raw.malformed === true || raw.malformed === 'true' || raw.malformed === '1';
+    return settings;
+}
+
+const cli = parseArgs(process.argv.slice(2));
+const state = {
+    ...DEFAULT_SETTINGS,
+    port: Number(cli.port || process.env.PORT) || DEFAULT_SETTINGS.port,
+    fixtures: cli.fixtures ? path.resolve(cli.fixtures) : DEFAULT_SETTINGS.fixtures,
+    ...normalizeSettings(cli),
+};
+let requestCount = 0;
+
+function loadRecords() {
+    const data = JSON.parse(fs.readFileSync(state.fixtures, 'utf8'));
+    const records = Array.isArray(data) ? data : data.records;
+    return (records || []).map(record => ({ id: record.id, fields: { ...record.fields, [RECORD_ID_FIELD]: record.id } }));
+}
+
+// Records that fail the proxy's usual shape, for exercising normalization and option matching
+function malformedRecords(query) {
+    return [
+        { id: 'recMalformed1', fields: { 'Official Establishment Name': `${query} (no other fields)` } },
+        { id: 'recMalformed2', fields: { 'Official Establishment Name': `${query} (null fields)`, 'Establishment Type': null, 'Partner Status': null, 'Award Level': null } },
+        { id: 'recMalformed3', fields: { 'Official Establishment Name': [`${query} (array name)`], 'Award Level': ['5-Star', '4-Star'], 'Duties & Taxes': 42 } },
+        { fields: { 'Official Establishment Name': `${query} (missing id)` } },
+        null,
+    ];
+}
+
+// Lowercase, accents stripped, punctuation collapsed to spaces ("Mandarin Oriental, München" -> "mandarin oriental munchen")
+function fold(value) {
+    return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function fieldText(value) {
+    if (value == null) return '';
+    return fold(Array.isArray(value) ? value.join(' ') : value);
+}
+
+function queryRecords({ field, q, maxRecords, fields, aliases }, settings) {
+    const limit = Math.max(1, Math.min(100, Number(maxRecords) || 10));
+    const needle = String(q).toLowerCase();
+    const columns = [field, ...[].concat(fields || [])];
+    const needles = [q, ...[].concat(aliases || [])].map(fold).filter(Boolean);
+    const matches = loadRecords().filter(record => field === RECORD_ID_FIELD
+        ? record.id.toLowerCase() === needle
+        : columns.some(column => needles.some(n => fieldText(record.fields[column]).includes(n))));
+    const records = settings.malformed ? matches.concat(malformedRecords(q)) : matches;
+    return { records: records.slice(0, limit) };
+}
+
+function delayFor(latency) {
+    const [min, max] = String(latency).split('-').map(Number);
+    if (!Number.isFinite(min)) return 0;
+    if (!Number.isFinite(max)) return min;
+    return min + Math.random() * (max - min);
+}
+
+function send(res, status, body, headers = {}) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json', ...headers });
+    res.end(text);
+}
+
+/**
+ * Apply a configured failure. Returns true when the response has been handled (or dropped).
+ */
+function injectFailure(req, res, settings) {
+    if (settings.fail === 'none' || Math.random() >= settings.failRate) return false;
+    const fail = settings.fail;
+    console.log(`  -> injected failure: ${fail}`);
+    if (fail === 'drop') {
+        req.socket.destroy();
+    } else if (fail === 'hang') {
+        // Never answer; the client's timeout has to give up
+    } else if (fail === 'bad-json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"records": [ { "id": "recBroken", "fields": ');
+    } else {
+        const status = Number(fail) || 500;
+        const headers = status === 429 || status === 503 ? { 'Retry-After': String(settings.retryAfter) } : {};
+        send(res, status, { error: { type: status === 429 ? 'RATE_LIMITED' : 'MOCK_FAILURE', message: `Injected ${status}` } }, headers);
+    }
+    return true;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 1e6) req.socket.destroy();
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+// mock_* parameters on the request override the current settings for that request only
+function requestSettings(url) {
+    const overrides = {};
+    url.searchParams.forEach((value, name) => {
+        if (name.startsWith('mock_')) overrides[name.slice(5).replace(/_([a-z])/g, (_, c) => c.toUpperCase())] = value;
+    });
+    return { ...state, ...normalizeSettings(overrides) };
+}
+
+async function handleQuery(req, res, url) {
+    const settings = requestSettings(url);
+    let params;
+    if (req.method === 'POST') {
+        try { params = JSON.parse(await readBody(req) || '{}'); } catch (e) {
+            return send(res, 400, { error: { type: 'INVALID_JSON', message: 'Request body is not JSON' } });
+        }
+    } else {
+        params = { ...Object.fromEntries(url.searchParams), fields: url.searchParams.getAll('fields'), aliases: url.searchParams.getAll('aliases') };
+    }
+    const n = ++requestCount;
+    const extra = (params.fields || []).length || (params.aliases || []).length ? ` fields=${[].concat(params.fields || []).join('|')} aliases=${[].concat(params.aliases || []).join('|')}` : '';
+    console.log(`#${n} ${req.method} field=${params.field} q=${params.q} maxRecords=${params.maxRecords}${extra}`);
+    if (!params.field || params.q === undefined) {
+        return send(res, 400, { error: { type: 'INVALID_REQUEST', message: 'field and q are required' } });
+    }
+    const delay = delayFor(settings.latency);
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+    if (injectFailure(req, res, settings)) return;
+    let result;
+    try {
+        result = queryRecords(params, settings);
+    } catch (e) {
+        console.error('Failed reading fixtures:', e.message);
+        return send(res, 500, { error: { type: 'FIXTURES', message: e.message } });
+    }
+    send(res, 200, result);
+}
+
+// Stand-in order endpoint for SUBMIT.mode 'post'
+async function handleOrder(req, res) {
+    let payload = null;
+    try { payload = JSON.parse(await readBody(req) || 'null'); } catch (e) { /* reported below */ }
+    if (!payload) return send(res, 400, { error: { type: 'INVALID_JSON', message: 'Expected a JSON order payload' } });
+    console.log('Order received:', JSON.stringify(payload));
+    send(res, 201, { ok: true, orderId: `mock-${Date.now()}` });
+}
+
+// Target of the sample form's native submit: lists what the browser sent
+async function handleEcho(req, res) {
+    const body = await readBody(req);
+    const rows = Array.from(new URLSearchParams(body)).map(([name, value]) => `${name} = ${value}`);
+    console.log('Form submitted:', rows.join(' | '));
+    send(res, 200, `Form submitted to the mock server:\n\n${rows.join('\n')}\n`);
+}
+
+function handleConfig(req, res, url) {
+    // ?reset goes back to the defaults before applying any other parameters
+    if (url.searchParams.has('reset')) Object.assign(state, normalizeSettings(DEFAULT_SETTINGS));
+    Object.assign(state, normalizeSettings(Object.fromEntries(url.searchParams)));
+    const { latency, fail, failRate, retryAfter, malformed } = state;
+    send(res, 200, { latency, fail, failRate, retryAfter, malformed });
+}
+
+const CONTENT_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8', '.json': 'application/json', '.map': 'application/json' };
+
+// Sample page and fixtures from dev/, main.js and autocomplete.min.js from the repo root
+function serveStatic(res, pathname) {
+    const relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const rootFile = ['main.js', 'autocomplete.min.js', 'autocomplete.min.js.map'].includes(relative);
+    const base = rootFile ? REPO_DIR : DEV_DIR;
+    const file = path.resolve(base, relative);
+    if (!file.startsWith(base + path.sep)) return send(res, 403, 'Forbidden');
+    fs.readFile(file, (error, content) => {
+        if (error) return send(res, 404, 'Not found');
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream', 'Cache-Control': 'no-store' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    // The page may be served from elsewhere (e.g. a theme preview) and call this proxy cross-origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+    const route = url.pathname;
+    const handler = route === '/api/query' ? handleQuery
+        : route === '/api/orders' && req.method === 'POST' ? handleOrder
+        : route === '/__mock/echo' && req.method === 'POST' ? handleEcho
+        : route === '/__mock/config' ? handleConfig
+        : null;
+    if (!handler) return serveStatic(res, route);
+    Promise.resolve(handler(req, res, url)).catch(error => {
+        console.error('Mock proxy error:', error);
+        if (!res.headersSent) send(res, 500, { error: { type: 'MOCK_ERROR', message: error.message } });
+    });
+});
+
+server.listen(state.port, () => {
+    console.log(`Mock proxy on http://localhost:${state.port}/ (fixtures: ${path.relative(REPO_DIR, state.fixtures)})`);
+    console.log(`  latency=${state.latency} fail=${state.fail} failRate=${state.failRate} malformed=${state.malformed}`);
+});
@@ -14,603 +14,4147 @@ const DEFAULT_CONFIG = {
     AIRTABLE_TABLE: 'tbl4YQBCXN4f2WREk', // Updated to match proxy example
     AIRTABLE_PROXY_URL: 'https://ftg-proxy-tq3re.ondigitalocean.app/api/query',
     DEBUG: false,
+    // Where records come from: 'proxy' | 'proxy-post' | 'static', an options object with a `type`
+    // (e.g. { type: 'proxy-post', url, headers }) or a custom adapter exposing query()
+    DATA_SOURCE: 'proxy',
+    MAX_RECORDS: 10,
+    // Airtable formula column holding RECORD_ID(), used to fetch a record by id when the data source
+    // has no getRecord(). null: deep-link/draft restore and integrity verification are skipped
+    RECORD_ID_FIELD: null,
+    // Proxy requests: per-attempt timeout (ms); `retries` with exponential backoff and jitter
+    // (backoffBase..backoffMax ms, Retry-After honoured) for network errors, timeouts, 429 and 5xx;
+    // after `breakerThreshold` consecutive failures the proxy is not called for `breakerCooldown` ms.
+    FETCH: {
+        timeout: 8000,
+        retries: 2,
+        backoffBase: 300,
+        backoffMax: 4000,
+        breakerThreshold: 5,
+        breakerCooldown: 30000,
+    },
+    // Query parameters that preselect the mode and run a lookup on load (false disables deep links)
+    DEEP_LINK_PARAMS: { code: 'ftg_code', establishment: 'ftg_establishment' },
+    // Save mode, selected record id and custom name so a reload/back navigation restores them
+    // ('session' | 'none')
+    DRAFT_STORAGE: 'session',
+    // Watch the form for re-rendered fields (variant changes, section reloads) and rebind the new
+    // controls, carrying values and the selection over (false: call FTGForm.reinitialize() yourself)
+    AUTO_REBIND: true,
+    // Submit pipeline: validate required fields per mode, serialize, run beforesubmit hooks, then
+    // deliver. mode: 'native' (let the form submit), 'post' (JSON POST to `endpoint`) or 'none'.
+    // hiddenFields are written into the form (native) or payload (post); recordIdField carries the record id.
+    SUBMIT: {
+        mode: 'native',
+        endpoint: null,
+        headers: {},
+        credentials: 'same-origin',
+        recordIdField: 'ftg_record_id',
+        snapshotField: 'ftg_record_snapshot',
+        successUrl: null,
+    },
+    // Before submit the selected record is fetched again by id and compared with the populated
+    // fields that are locked in the current mode: 'block' (stop and restore the record's values),
+    // 'flag' (submit anyway, marked unverified) or 'off'. A snapshot { recordId, fields, fetchedAt }
+    // is sent as SUBMIT.snapshotField so the backend can check it again. Needs records fetchable by
+    // id (getRecord() or RECORD_ID_FIELD); without either it behaves like 'off'.
+    INTEGRITY_POLICY: 'flag',
+    // What happens when a record value has no matching product option:
+    // 'block-and-clear' (dialog, selection rejected, form cleared on close),
+    // 'warn-and-keep' (dialog, selection kept) or 'silent-inline' (inline hint only)
+    MISMATCH_POLICY: 'block-and-clear',
+    // Products that do carry an option, shown in the mismatch dialog. Either
+    // { [fieldKey]: { [value]: [{ label, url }] } } or a function (fieldKey, value, record) => [{ label, url }]
+    MISMATCH_PRODUCT_LINKS: null,
+    // Equivalent option spellings for select matching, e.g. [['Four Star', '4-Star'], ['DDP', 'Duties Paid']].
+    // Either one list of groups for every select, or { [fieldKey]: groups } (key '*' applies to all)
+    OPTION_ALIASES: [],
+    // Partner Early-Access Code format. Input is uppercased and separators are stripped as the
+    // user types; characters outside `charset` are mapped through `confusables` (e.g. O -> 0)
+    // before validation, so the default charset leaves out I, L and O. `groupSize` > 0 displays
+    // the code in groups ("AB12-CD34").
+    // `checkDigit`: null, 'luhn-mod-n' (last character checks the rest) or a function(code) => boolean.
+    CODE_FORMAT: {
+        length: 8,
+        charset: '0-9A-HJKMNP-Z',
+        confusables: { O: '0', I: '1', L: '1' },
+        groupSize: 0,
+        groupSeparator: '-',
+        checkDigit: null,
+    },
+    // Form schema overrides ({ modes, defaultMode, fields }); see DEFAULT_FORM_SCHEMA below
+    FORM_SCHEMA: null,
+    // How record values become option/input text (see recordValueList): array entries are joined
+    // with `join` for text inputs; checkbox (boolean) columns read as `true`/`false`. A schema
+    // field's `coerce` overrides these per field.
+    VALUE_COERCION: { join: ', ', true: 'Yes', false: 'No' },
+    // Name-search suggestion rows. template: 'rich' (name, badge and a secondary line), 'plain'
+    // (name only) or a function (record, { name, badge, meta, group, query, highlight, escape }) => HTML.
+    // `meta` entries are columns, or lists of columns joined with ', '; `groupBy` puts the rows
+    // under a header per value of that column (e.g. 'Brand'); `highlight` marks the typed text.
+    SUGGESTIONS: {
+        template: 'rich',
+        meta: [['City', 'Country'], 'Establishment Type'],
+        badge: 'Award Level',
+        groupBy: null,
+        highlight: true,
+    },
+    // Lookup cache: memory first, then a persistent tier ('session' | 'indexeddb' | 'none')
+    CACHE_STORAGE: 'session',
+    // Bump to invalidate every persisted entry (base/table changes invalidate automatically)
+    CACHE_VERSION: 1,
+    CACHE_MAX_ENTRIES: 50,
+    CACHE_PERSIST_MAX_ENTRIES: 200,
+    // Per-field TTLs in milliseconds, keyed by Airtable column; 'default' covers the rest
+    CACHE_TTL: {
+        default: 10 * 60 * 1000,
+        'Redemption Code': 60 * 60 * 1000,
+        'Official Establishment Name': 15 * 60 * 1000,
+    },
+    // Name search: for this many ms after an entry expires it is still shown immediately while a
+    // background request refreshes it (0 = off)
+    STALE_WHILE_REVALIDATE: 0,
+    // Styling (page-wide). INJECT_STYLES: false skips the built-in stylesheet; every generated
+    // element keeps its ftg-* classes. THEME overrides the CSS custom properties (see THEME_TOKENS),
+    // with a `dark` sub-object for dark mode. COLOR_SCHEME: 'page' (follows data-bs-theme on <html>),
+    // 'system' (prefers-color-scheme), 'light' or 'dark'.
+    INJECT_STYLES: true,
+    THEME: {},
+    COLOR_SCHEME: 'page',
+    // Banners and time-gated modes; null uses DEFAULT_SCHEDULE, [] turns scheduling off.
+    // Entry: { id, start, end, timeZone, audiences, modes, message, enableModes } (see README)
+    SCHEDULE: null,
+    // Zone for schedule times without an explicit offset
+    SCHEDULE_TIME_ZONE: 'America/New_York',
+    // This form's audience, matched against entry.audiences (root data-ftg-audience also works)
+    AUDIENCE: null,
+    // Segmented "I have a code" / "Search by name" toggle above the form. true, or
+    // { legend, labels: { [mode]: message } } where a message is a catalog key object or plain text
+    MODE_SWITCHER: false,
+    // QA preview: pretend the page loaded at this time (page-wide). NOW_PARAM reads it from the
+    // URL instead (?ftg_now=2026-02-11T09:00); null disables the parameter.
+    NOW: null,
+    NOW_PARAM: 'ftg_now',
+    // Telemetry (page-wide; merged per key). sinks: 'beacon' (batched navigator.sendBeacon to
+    // endpoint), 'dataLayer' (pushes { event: 'ftg.metric' | 'ftg.log', ftg } onto window[dataLayer])
+    // and/or functions receiving each event. sampleRate is decided once per page view; log lines at
+    // or above `level` are forwarded (null: metrics only). Messages and meta are scrubbed of emails,
+    // phone numbers, code/query URL parameters and redactKeys; `scrub(event)` can edit or drop more.
+    TELEMETRY: {
+        sinks: [],
+        endpoint: null,
+        dataLayer: 'dataLayer',
+        sampleRate: 1,
+        level: 'warn',
+        redactKeys: ['q', 'query', 'code', 'name', 'email', 'phone', 'value', 'values', 'customName', 'record', 'records', 'fields', 'candidates'],
+        scrub: null,
+        batchSize: 20,
+        flushInterval: 5000,
+    },
+    // UI language (BCP 47 tag); null uses <html lang>, then the browser language. FTG_CONFIG.locale
+    // is accepted too. MESSAGES adds or overrides catalog entries: { fr: { 'error.retry': 'Réessayer' } }
+    LOCALE: null,
+    MESSAGES: {},
+    // Name search: filter a longer query locally when a cached shorter prefix returned fewer than
+    // MAX_RECORDS results (the complete answer set)
+    LOOKUP_REFINE: true,
+    // Name search. The name column and `fields` (e.g. ['City', 'Brand']; needs a proxy that reads
+    // fields=/aliases=) are searched in one request, with `aliases` (groups of equivalent spellings,
+    // e.g. [['MO', 'Mandarin Oriental']]) sent as alternate queries. Results
+    // are ranked here on accent- and punctuation-folded text: `ranking` scores exact, prefix,
+    // word-start and contains matches (0 ignores that kind) and scales matches through an alias by
+    // `alias`; `weights` scales them per column ('*' for unlisted columns; the name column is 1).
+    // `ranking` may instead be a function (record, { query, variants, fields }) => score.
+    SEARCH: {
+        fields: [],
+        aliases: [],
+        ranking: { exact: 100, prefix: 75, wordStart: 50, contains: 25, alias: 0.9 },
+        weights: { '*': 0.5 },
+    },
 };
-const CFG = { ...DEFAULT_CONFIG, ...(window.FTG_CONFIG || {}) };
 
-// Airtable Proxy Configuration
-const AIRTABLE_BASE_ID = CFG.AIRTABLE_BASE_ID;
-const AIRTABLE_TABLE = CFG.AIRTABLE_TABLE;
-const AIRTABLE_PROXY_URL = CFG.AIRTABLE_PROXY_URL;
+/**
+ * Merge defaults, window.FTG_CONFIG and per-controller overrides (CACHE_TTL, CODE_FORMAT,
+ * SUBMIT, FETCH, TELEMETRY, VALUE_COERCION, SUGGESTIONS and SEARCH are merged per key; `locale` is accepted as an alias of LOCALE).
+ */
+function resolveConfig(overrides = {}) {
+    const pageConfig = window.FTG_CONFIG || {};
+    return {
+        ...DEFAULT_CONFIG,
+        ...pageConfig,
+        ...overrides,
+        CACHE_TTL: { ...DEFAULT_CONFIG.CACHE_TTL, ...(pageConfig.CACHE_TTL || {}), ...(overrides.CACHE_TTL || {}) },
+        CODE_FORMAT: { ...DEFAULT_CONFIG.CODE_FORMAT, ...(pageConfig.CODE_FORMAT || {}), ...(overrides.CODE_FORMAT || {}) },
+        SUBMIT: { ...DEFAULT_CONFIG.SUBMIT, ...(pageConfig.SUBMIT || {}), ...(overrides.SUBMIT || {}) },
+        FETCH: { ...DEFAULT_CONFIG.FETCH, ...(pageConfig.FETCH || {}), ...(overrides.FETCH || {}) },
+        TELEMETRY: { ...DEFAULT_CONFIG.TELEMETRY, ...(pageConfig.TELEMETRY || {}), ...(overrides.TELEMETRY || {}) },
+        VALUE_COERCION: { ...DEFAULT_CONFIG.VALUE_COERCION, ...(pageConfig.VALUE_COERCION || {}), ...(overrides.VALUE_COERCION || {}) },
+        SUGGESTIONS: { ...DEFAULT_CONFIG.SUGGESTIONS, ...(pageConfig.SUGGESTIONS || {}), ...(overrides.SUGGESTIONS || {}) },
+        SEARCH: { ...DEFAULT_CONFIG.SEARCH, ...(pageConfig.SEARCH || {}), ...(overrides.SEARCH || {}) },
+        LOCALE: overrides.locale ?? overrides.LOCALE ?? pageConfig.locale ?? pageConfig.LOCALE ?? DEFAULT_CONFIG.LOCALE
+    };
+}
+// Page-level config: cache tiers and debug logging are shared by every form on the page
+const CFG = resolveConfig();
 
 // Debug flag (toggle to silence verbose logs in production)
 const DEBUG = !!CFG.DEBUG;
 
-// Mode configuration centralized
-const MODES = {
-    'Partner Early-Access Code Lookup': {
-        hide: [],
-        prevent: ['establishmentType', 'partnerStatus', 'awardLevel', 'dutiesAndTaxes', 'officialEstablishmentName']
-    },
-    'Establishment Name Lookup': {
-        hide: ['redemptionCode'],
-        prevent: ['establishmentType', 'partnerStatus', 'awardLevel', 'dutiesAndTaxes']
+// Telemetry: logger lines and metrics fan out to the configured sinks; metrics are also
+// aggregated in memory for FTGForm.getMetrics()
+const TELEMETRY_LEVELS = ['debug', 'info', 'warn', 'error'];
+const telemetryPageId = Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+const telemetryQueue = [];
+let telemetryTimer = null;
+// Sampling is decided on the first event, once per page view
+let telemetrySampled = null;
+// `${name}|${tags}` -> { name, tags, count, sum, max }
+const metricTotals = new Map();
+
+function metricClock() {
+    return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+// Phone shapes only: an international number (+...) or a grouped 3-3-4 number. Dates,
+// timestamps and plain digit runs (order numbers) are left readable.
+const PHONE_PATTERN = /\+\d[\d\s().-]{6,}\d|(?<![\w.-])(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?![\w-])/g;
+
+function scrubText(text) {
+    return String(text)
+        .replace(/[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi, '[email]')
+        .replace(/([?&](?:q|query|code|ftg_code|ftg_establishment)=)[^&#\s]*/gi, '$1[redacted]')
+        .replace(PHONE_PATTERN, '[number]');
+}
+
+// Copy of `value` with redactKeys masked and strings scrubbed (depth and list length capped)
+function scrubTelemetry(value, redactKeys, depth = 0) {
+    if (typeof value === 'string') return scrubText(value);
+    if (value instanceof Error) return { name: value.name, message: scrubText(value.message) };
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= 4) return '[truncated]';
+    if (Array.isArray(value)) return value.slice(0, 20).map(item => scrubTelemetry(item, redactKeys, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        redactKeys.has(key.toLowerCase()) ? '[redacted]' : scrubTelemetry(item, redactKeys, depth + 1)
+    ]));
+}
+
+function telemetrySinks() {
+    const sinks = CFG.TELEMETRY.sinks;
+    return Array.isArray(sinks) ? sinks : (sinks ? [sinks] : []);
+}
+
+/**
+ * Scrub an event and hand it to every sink. Sink failures are swallowed (and never logged
+ * through logger, which would report them again).
+ */
+function dispatchTelemetry(event) {
+    const cfg = CFG.TELEMETRY;
+    const sinks = telemetrySinks();
+    if (!sinks.length) return;
+    if (telemetrySampled === null) {
+        const rate = Number(cfg.sampleRate);
+        telemetrySampled = Math.random() < (Number.isFinite(rate) ? rate : 1);
+    }
+    if (!telemetrySampled) return;
+    const redactKeys = new Set((cfg.redactKeys || []).map(key => String(key).toLowerCase()));
+    let scrubbed = { ...event, ts: Date.now(), page: telemetryPageId };
+    if (scrubbed.message != null) scrubbed.message = scrubText(scrubbed.message);
+    if (scrubbed.meta != null) scrubbed.meta = scrubTelemetry(scrubbed.meta, redactKeys);
+    if (typeof cfg.scrub === 'function') {
+        try { scrubbed = cfg.scrub(scrubbed); } catch (e) { return; }
+        if (!scrubbed) return;
+    }
+    sinks.forEach(sink => {
+        try {
+            if (typeof sink === 'function') sink(scrubbed);
+            else if (sink === 'beacon') queueTelemetryBeacon(scrubbed);
+            else if (sink === 'dataLayer') {
+                const layerName = cfg.dataLayer || 'dataLayer';
+                window[layerName] = window[layerName] || [];
+                window[layerName].push({ event: `ftg.${scrubbed.type}`, ftg: scrubbed });
+            }
+        } catch (e) {
+            if (DEBUG) console.error('Telemetry sink failed:', e);
+        }
+    });
+}
+
+function queueTelemetryBeacon(event) {
+    telemetryQueue.push(event);
+    if (telemetryQueue.length >= (Number(CFG.TELEMETRY.batchSize) || 20)) flushTelemetry();
+    else if (!telemetryTimer) telemetryTimer = setTimeout(flushTelemetry, Number(CFG.TELEMETRY.flushInterval) || 5000);
+}
+
+// Send queued beacon events. A plain-text body keeps sendBeacon a simple (preflight-free) request.
+function flushTelemetry() {
+    clearTimeout(telemetryTimer);
+    telemetryTimer = null;
+    const endpoint = CFG.TELEMETRY.endpoint;
+    const events = telemetryQueue.splice(0);
+    if (!events.length || !endpoint) return;
+    const body = JSON.stringify({ page: telemetryPageId, path: window.location.pathname, events });
+    let sent = false;
+    try { sent = !!(navigator.sendBeacon && navigator.sendBeacon(endpoint, body)); } catch (e) { /* noop */ }
+    if (!sent && typeof fetch === 'function') {
+        fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(() => { /* noop */ });
     }
+}
+// Deliver the last batch before the page goes away
+window.addEventListener('pagehide', flushTelemetry);
+document.addEventListener('visibilitychange', () => { if (document.hidden) flushTelemetry(); });
+
+// Forward a logger line at or above TELEMETRY.level
+function reportLog(level, scope, message, meta) {
+    const min = TELEMETRY_LEVELS.indexOf(CFG.TELEMETRY.level);
+    if (min < 0 || TELEMETRY_LEVELS.indexOf(level) < min) return;
+    dispatchTelemetry({ type: 'log', level, scope, message, meta });
+}
+
+/**
+ * Record a metric: aggregated locally and sent to the sinks as { type: 'metric', name, value, tags }.
+ * Tags must not carry user input (query text, codes).
+ */
+function track(name, value = 1, tags = {}) {
+    const tagKey = Object.keys(tags).sort().map(key => `${key}=${tags[key]}`).join(',');
+    const key = `${name}|${tagKey}`;
+    const total = metricTotals.get(key) || { name, tags, count: 0, sum: 0, max: 0 };
+    total.count++;
+    total.sum += value;
+    total.max = Math.max(total.max, value);
+    metricTotals.set(key, total);
+    dispatchTelemetry({ type: 'metric', name, value, tags });
+}
+
+/**
+ * Summary of the metrics recorded on this page: lookup latency per query type, cache hit rate,
+ * no-results rate per lookup, mismatches per field and funnel steps.
+ */
+function getMetricsSummary() {
+    const rows = Array.from(metricTotals.values());
+    const rate = (part, whole) => whole ? Math.round((part / whole) * 1000) / 1000 : null;
+    const summary = { latency: {}, cache: { hit: 0, stale: 0, refined: 0, miss: 0, hitRate: null }, lookups: {}, mismatches: {}, funnel: {} };
+    rows.forEach(({ name, tags, count, sum, max }) => {
+        if (name === 'lookup.latency') {
+            const entry = summary.latency[tags.lookup] = summary.latency[tags.lookup] || { count: 0, errors: 0, avgMs: 0, maxMs: 0, totalMs: 0 };
+            entry.count += count;
+            if (tags.outcome === 'error') entry.errors += count;
+            entry.totalMs += sum;
+            entry.maxMs = Math.max(entry.maxMs, max);
+            entry.avgMs = Math.round(entry.totalMs / entry.count);
+        } else if (name === 'cache.result') {
+            summary.cache[tags.result] = (summary.cache[tags.result] || 0) + count;
+        } else if (name === 'lookup.result') {
+            const entry = summary.lookups[tags.lookup] = summary.lookups[tags.lookup] || { found: 0, none: 0, error: 0, noResultsRate: null };
+            entry[tags.outcome] = (entry[tags.outcome] || 0) + count;
+        } else if (name === 'mismatch') {
+            summary.mismatches[tags.field] = (summary.mismatches[tags.field] || 0) + count;
+        } else if (name === 'funnel') {
+            const entry = summary.funnel[tags.step] = summary.funnel[tags.step] || { count: 0, avgMs: 0, totalMs: 0 };
+            entry.count += count;
+            entry.totalMs += sum;
+            entry.avgMs = Math.round(entry.totalMs / entry.count);
+        }
+    });
+    const { hit, stale, refined, miss } = summary.cache;
+    summary.cache.hitRate = rate(hit + stale + refined, hit + stale + refined + miss);
+    Object.values(summary.lookups).forEach(entry => {
+        entry.noResultsRate = rate(entry.none, entry.found + entry.none);
+    });
+    return summary;
+}
+
+// Mode names used by behavior (code lookup vs. name search)
+const MODE_CODE = 'Partner Early-Access Code Lookup';
+const MODE_NAME = 'Establishment Name Lookup';
+// In hideIn/lockIn, '*' means every mode
+const ALL_MODES = '*';
+
+// Declarative form schema. Each field lists its label aliases, the Airtable column it is
+// filled from, the control to fill, and the modes that hide it (hideIn), lock it (lockIn) or
+// require it on submit (requiredIn). `populate: false` keeps a field out of record population.
+// Controls: 'input', 'hidden', 'select', 'radio' / 'checkbox' (groups of inputs) and 'swatch'
+// (variant-picker buttons; `optionSelector` overrides SWATCH_SELECTOR). Fields without a
+// labelled `.form-item` (e.g. hidden inputs) are found through a `selector` inside the form.
+const DEFAULT_FORM_SCHEMA = {
+    modes: [MODE_CODE, MODE_NAME],
+    defaultMode: MODE_CODE,
+    fields: [
+        { key: 'redemptionCode', labels: ['Partner Early-Access Code'], column: 'Redemption Code', control: 'input', populate: false, hideIn: [MODE_NAME], requiredIn: [MODE_CODE] },
+        { key: 'officialEstablishmentName', labels: ['Official Establishment Name'], column: 'Official Establishment Name', control: 'input', lockIn: [MODE_CODE], requiredIn: ALL_MODES },
+        { key: 'customEstablishmentName', labels: ['Custom Establishment Name'], column: 'Official Establishment Name', control: 'input' },
+        { key: 'establishmentType', labels: ['Establishment Type'], column: 'Establishment Type', control: 'select', lockIn: ALL_MODES, requiredIn: ALL_MODES },
+        { key: 'partnerStatus', labels: ['Partner Status'], column: 'Partner Status', control: 'select', lockIn: ALL_MODES, requiredIn: ALL_MODES },
+        { key: 'awardLevel', labels: ['Award Level'], column: 'Award Level', control: 'select', lockIn: ALL_MODES, requiredIn: ALL_MODES },
+        { key: 'dutiesAndTaxes', labels: ['Duties & Taxes'], column: 'Duties & Taxes', control: 'select', lockIn: ALL_MODES, requiredIn: ALL_MODES }
+    ]
 };
 
-// Simple in-memory cache for Airtable queries (LRU-lite)
+/**
+ * Merge FTG_CONFIG.FORM_SCHEMA over the defaults. Fields are merged by key (so one entry can
+ * tweak or add a field); `modes` replaces the mode list when provided.
+ */
+function buildFormSchema(override) {
+    const fields = DEFAULT_FORM_SCHEMA.fields.map(f => ({ ...f }));
+    if (!override) return { ...DEFAULT_FORM_SCHEMA, fields };
+    (override.fields || []).forEach(f => {
+        if (!f || !f.key) return;
+        const index = fields.findIndex(existing => existing.key === f.key);
+        if (index >= 0) fields[index] = { ...fields[index], ...f };
+        else fields.push({ control: 'input', labels: [], ...f });
+    });
+    const modes = Array.isArray(override.modes) && override.modes.length ? override.modes.slice() : DEFAULT_FORM_SCHEMA.modes.slice();
+    const defaultMode = [override.defaultMode, DEFAULT_FORM_SCHEMA.defaultMode].find(m => modes.includes(m)) || modes[0];
+    return { modes, defaultMode, fields };
+}
+function appliesToMode(modeList, mode) {
+    if (modeList === ALL_MODES) return true;
+    return Array.isArray(modeList) && (modeList.includes(ALL_MODES) || modeList.includes(mode));
+}
+
+function getSchemaField(schema, key) {
+    return schema.fields.find(f => f.key === key) || null;
+}
+
+// Mode configuration derived from the schema
+function getModeConfig(schema, mode) {
+    if (!schema.modes.includes(mode)) return { hide: [], prevent: [] };
+    return {
+        hide: schema.fields.filter(f => appliesToMode(f.hideIn, mode)).map(f => f.key),
+        prevent: schema.fields.filter(f => appliesToMode(f.lockIn, mode)).map(f => f.key)
+    };
+}
+
+// Map visible label text -> internal field key (built from the schema's label aliases)
+// Keep this minimal; fallback logic in initializeFields handles minor label variations
+function buildLabelMap(schema) {
+    return Object.fromEntries(schema.fields.flatMap(f => (f.labels || []).map(label => [label, f.key])));
+}
+
+// Scheduled banners and mode availability. Until the Star Rating announcement only code lookup
+// is offered (with the note explaining why); from then on name lookup opens automatically.
+const STAR_RATING_ANNOUNCEMENT = '2026-02-11T00:00';
+const DEFAULT_SCHEDULE = [
+    { id: 'code-only-notice', end: STAR_RATING_ANNOUNCEMENT, modes: [MODE_CODE], message: 'mode.codeNote' },
+    { id: 'name-lookup-opens', start: STAR_RATING_ANNOUNCEMENT, enableModes: [MODE_NAME] }
+];
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+// Offset (ms) between the preview clock and the real one; time keeps running from the override
+let clockOffset = 0;
+function scheduleNow() {
+    return Date.now() + clockOffset;
+}
+
+// UTC offset (ms) of `timeZone` at instant `ms`
+function timeZoneOffset(ms, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(ms));
+    const part = type => Number(parts.find(p => p.type === type)?.value);
+    const asUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour') % 24, part('minute'), part('second'));
+    return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Resolve a schedule time to epoch ms. Numbers, Dates and ISO strings with Z or an offset are
+ * absolute; '2026-02-11' or '2026-02-11T09:00' are wall-clock times in `timeZone`.
+ * Returns null for empty or unparseable values.
+ */
+function parseScheduleTime(value, timeZone) {
+    if (value == null || value === '') return null;
+    if (value instanceof Date) return isNaN(value) ? null : value.getTime();
+    if (typeof value === 'number') return value;
+    const text = String(value).trim();
+    const local = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!local) {
+        const parsed = Date.parse(text);
+        return isNaN(parsed) ? null : parsed;
+    }
+    const [, y, mo, d, h = 0, mi = 0, sec = 0] = local;
+    const wall = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+    try {
+        // Apply the zone's offset, then correct once more in case it changed across a DST switch
+        const utc = wall - timeZoneOffset(wall, timeZone);
+        return wall - timeZoneOffset(utc, timeZone);
+    } catch (e) {
+        logger('warn', 'schedule', 'Unknown time zone; using UTC', { timeZone });
+        return wall;
+    }
+}
+
+// Normalize SCHEDULE entries once per controller (times resolved to ms)
+function buildSchedule(entries, defaultTimeZone) {
+    const list = Array.isArray(entries) ? entries : DEFAULT_SCHEDULE;
+    return list.filter(entry => entry && typeof entry === 'object').map((entry, index) => {
+        const timeZone = entry.timeZone || defaultTimeZone || 'UTC';
+        return {
+            ...entry,
+            id: entry.id || `schedule-${index + 1}`,
+            startMs: parseScheduleTime(entry.start, timeZone),
+            endMs: parseScheduleTime(entry.end, timeZone)
+        };
+    });
+}
+
+function scheduleEntryMatchesAudience(entry, audience) {
+    if (!Array.isArray(entry.audiences) || !entry.audiences.length) return true;
+    return audience != null && entry.audiences.includes(audience);
+}
+
+function isScheduleEntryActive(entry, now) {
+    return (entry.startMs == null || now >= entry.startMs) && (entry.endMs == null || now < entry.endMs);
+}
+
+// Earliest start/end after `now`, or null when nothing else will change
+function nextScheduleBoundary(schedule, now) {
+    let next = null;
+    schedule.forEach(entry => {
+        [entry.startMs, entry.endMs].forEach(ms => {
+            if (ms != null && ms > now && (next === null || ms < next)) next = ms;
+        });
+    });
+    return next;
+}
+
+// Preview the schedule at `value` (see parseScheduleTime); null returns to the real clock
+function setScheduleNow(value) {
+    const ms = parseScheduleTime(value, CFG.SCHEDULE_TIME_ZONE);
+    if (value != null && value !== '' && ms == null) logger('warn', 'schedule', 'Ignoring unparseable NOW override', { value });
+    clockOffset = ms == null ? 0 : ms - Date.now();
+    if (ms != null) logger('info', 'schedule', 'Previewing schedule at', { now: new Date(ms).toISOString() });
+}
+
+// FTG_CONFIG.NOW, or the NOW_PARAM URL parameter when present
+function initScheduleClock() {
+    let override = CFG.NOW;
+    if (CFG.NOW_PARAM) {
+        try {
+            const fromUrl = new URL(window.location.href).searchParams.get(CFG.NOW_PARAM);
+            if (fromUrl) override = fromUrl;
+        } catch (e) { /* noop */ }
+    }
+    setScheduleNow(override);
+}
+initScheduleClock();
+
+// Tiered cache for Airtable queries: in-memory LRU-lite first, then a persistent store
+// (sessionStorage or IndexedDB) so repeat lookups survive reloads and product navigation.
+// Keys are namespaced by cache version, base and table; entries outside the namespaces in use
+// on this page are purged. Tier sizes and the storage backend are page-wide settings.
+const CACHE_PREFIX = 'ftg:cache:';
+const activeCacheNamespaces = new Set();
+
+function registerCacheNamespace(cfg) {
+    const namespace = `${CACHE_PREFIX}v${CFG.CACHE_VERSION}:${cfg.AIRTABLE_BASE_ID}:${cfg.AIRTABLE_TABLE}:`;
+    activeCacheNamespaces.add(namespace);
+    return namespace;
+}
+registerCacheNamespace(CFG);
+
+function isActiveCacheKey(key) {
+    for (const namespace of activeCacheNamespaces) {
+        if (String(key).startsWith(namespace)) return true;
+    }
+    return false;
+}
 const airtableCache = new Map();
-const MAX_CACHE = 50;
+const MAX_CACHE = Math.max(1, Number(CFG.CACHE_MAX_ENTRIES) || DEFAULT_CONFIG.CACHE_MAX_ENTRIES);
+const MAX_PERSISTED = Math.max(1, Number(CFG.CACHE_PERSIST_MAX_ENTRIES) || DEFAULT_CONFIG.CACHE_PERSIST_MAX_ENTRIES);
+// Expired entries are kept (and may be served while revalidating) for this long
+const CACHE_STALE_WINDOW = Math.max(0, Number(CFG.STALE_WHILE_REVALIDATE) || 0);
+
+function cacheTtlFor(field, ttlMap = CFG.CACHE_TTL) {
+    const ttl = Object.prototype.hasOwnProperty.call(ttlMap, field) ? ttlMap[field] : ttlMap.default;
+    return Math.max(0, Number(ttl) || 0);
+}
+
+// Unexpired, or expired less than `maxStale` ms ago
+function isFreshEntry(entry, maxStale = 0) {
+    return !!entry && typeof entry.expires === 'number' && entry.expires + maxStale > Date.now();
+}
+
+// Persistent tier: sessionStorage backend (synchronous API wrapped in promises)
+const sessionCacheStore = {
+    isAvailable() {
+        try { return typeof window.sessionStorage !== 'undefined' && window.sessionStorage !== null; } catch (e) { return false; }
+    },
+    async get(key) {
+        const raw = window.sessionStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, entry) {
+        const raw = JSON.stringify(entry);
+        try {
+            window.sessionStorage.setItem(key, raw);
+        } catch (e) {
+            // Quota exceeded: drop the older half of our entries and retry once
+            await this.prune(Math.floor(MAX_PERSISTED / 2));
+            window.sessionStorage.setItem(key, raw);
+        }
+        await this.prune(MAX_PERSISTED);
+    },
+    async delete(key) {
+        window.sessionStorage.removeItem(key);
+    },
+    // Remove foreign-namespace and expired entries, then the oldest ones beyond `limit`
+    async prune(limit) {
+        const storage = window.sessionStorage;
+        const own = [];
+        for (let i = storage.length - 1; i >= 0; i--) {
+            const key = storage.key(i);
+            if (!key || !key.startsWith(CACHE_PREFIX)) continue;
+            if (!isActiveCacheKey(key)) { storage.removeItem(key); continue; }
+            let entry = null;
+            try { entry = JSON.parse(storage.getItem(key)); } catch (e) { /* corrupt entry */ }
+            if (!isFreshEntry(entry, CACHE_STALE_WINDOW)) { storage.removeItem(key); continue; }
+            own.push({ key, ts: entry.ts || 0 });
+        }
+        if (own.length <= limit) return;
+        own.sort((a, b) => a.ts - b.ts).slice(0, own.length - limit).forEach(e => storage.removeItem(e.key));
+    },
+    async clear() {
+        const storage = window.sessionStorage;
+        for (let i = storage.length - 1; i >= 0; i--) {
+            const key = storage.key(i);
+            if (key && key.startsWith(CACHE_PREFIX)) storage.removeItem(key);
+        }
+    }
+};
+
+// Persistent tier: IndexedDB backend (survives tab close; larger quota)
+const IDB_CACHE_DB = 'ftg-cache';
+const IDB_CACHE_STORE = 'entries';
+let idbCachePromise = null;
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openCacheDb() {
+    if (idbCachePromise) return idbCachePromise;
+    idbCachePromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(IDB_CACHE_DB, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IDB_CACHE_STORE)) {
+                db.createObjectStore(IDB_CACHE_STORE, { keyPath: 'key' }).createIndex('ts', 'ts');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    });
+    return idbCachePromise;
+}
+
+const indexedDbCacheStore = {
+    isAvailable() {
+        try { return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null; } catch (e) { return false; }
+    },
+    async get(key) {
+        const db = await openCacheDb();
+        const entry = await idbRequest(db.transaction(IDB_CACHE_STORE, 'readonly').objectStore(IDB_CACHE_STORE).get(key));
+        return entry || null;
+    },
+    async set(key, entry) {
+        const db = await openCacheDb();
+        await idbRequest(db.transaction(IDB_CACHE_STORE, 'readwrite').objectStore(IDB_CACHE_STORE).put({ ...entry, key }));
+        await this.prune(MAX_PERSISTED);
+    },
+    async delete(key) {
+        const db = await openCacheDb();
+        await idbRequest(db.transaction(IDB_CACHE_STORE, 'readwrite').objectStore(IDB_CACHE_STORE).delete(key));
+    },
+    async prune(limit) {
+        const db = await openCacheDb();
+        const store = db.transaction(IDB_CACHE_STORE, 'readwrite').objectStore(IDB_CACHE_STORE);
+        let remaining = await idbRequest(store.count());
+        await new Promise((resolve, reject) => {
+            // Oldest first, so anything beyond `limit` is evicted in insertion order
+            const cursorRequest = store.index('ts').openCursor();
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return resolve();
+                const entry = cursor.value;
+                if (!isActiveCacheKey(entry.key) || !isFreshEntry(entry, CACHE_STALE_WINDOW) || remaining > limit) {
+                    cursor.delete();
+                    remaining--;
+                }
+                cursor.continue();
+            };
+        });
+    },
+    async clear() {
+        const db = await openCacheDb();
+        await idbRequest(db.transaction(IDB_CACHE_STORE, 'readwrite').objectStore(IDB_CACHE_STORE).clear());
+    }
+};
+
+function getPersistentCacheStore() {
+    const kind = String(CFG.CACHE_STORAGE || 'none').toLowerCase();
+    const store = kind === 'session' ? sessionCacheStore : kind === 'indexeddb' ? indexedDbCacheStore : null;
+    return store && store.isAvailable() ? store : null;
+}
+const persistentCache = getPersistentCacheStore();
 
-function cacheGet(key) {
+function memoryCacheGet(key, maxStale = 0) {
     if (!airtableCache.has(key)) return null;
-    const val = airtableCache.get(key);
+    const entry = airtableCache.get(key);
+    if (!isFreshEntry(entry, maxStale)) {
+        if (!isFreshEntry(entry, CACHE_STALE_WINDOW)) airtableCache.delete(key);
+        return null;
+    }
     // Refresh recency
     airtableCache.delete(key);
-    airtableCache.set(key, val);
-    return val;
+    airtableCache.set(key, entry);
+    return entry;
+}
+function memoryCacheSet(key, entry) {
+    if (airtableCache.has(key)) airtableCache.delete(key);
+    airtableCache.set(key, entry);
+    if (airtableCache.size > MAX_CACHE) {
+        const first = airtableCache.keys().next().value;
+        airtableCache.delete(first);
+    }
+}
+
+/**
+ * Read a cached entry ({ value, ts, expires }): memory first, then the persistent tier (promoted
+ * to memory on hit). `maxStale` also accepts entries that expired less than that many ms ago.
+ */
+async function cacheGetEntry(key, maxStale = 0) {
+    const hot = memoryCacheGet(key, maxStale);
+    if (hot) return hot;
+    if (!persistentCache) return null;
+    try {
+        const entry = await persistentCache.get(key);
+        if (!entry) return null;
+        if (!isFreshEntry(entry, maxStale)) {
+            if (!isFreshEntry(entry, CACHE_STALE_WINDOW)) persistentCache.delete(key).catch(() => { /* noop */ });
+            return null;
+        }
+        memoryCacheSet(key, entry);
+        return entry;
+    } catch (e) {
+        logger('warn', 'cacheGet', 'Persistent cache read failed', { error: e?.message });
+        return null;
+    }
+}
+
+async function cacheGet(key) {
+    const entry = await cacheGetEntry(key);
+    return entry ? entry.value : null;
+}
+
+/**
+ * Store a value in both tiers for `ttl` milliseconds (see cacheTtlFor).
+ * The persistent write runs in the background and never blocks the lookup.
+ */
+function cacheSet(key, value, ttl) {
+    if (ttl <= 0) return;
+    const now = Date.now();
+    const entry = { value, ts: now, expires: now + ttl };
+    memoryCacheSet(key, entry);
+    if (persistentCache) {
+        persistentCache.set(key, entry).catch(e => {
+            logger('warn', 'cacheSet', 'Persistent cache write failed', { error: e?.message });
+        });
+    }
+}
+
+/**
+ * Drop every cached lookup from memory and the persistent tier.
+ */
+async function clearCache() {
+    airtableCache.clear();
+    if (!persistentCache) return;
+    try {
+        await persistentCache.clear();
+    } catch (e) {
+        logger('warn', 'clearCache', 'Persistent cache clear failed', { error: e?.message });
+    }
+}
+
+// Purge entries left behind by another cache version, base or table
+function pruneForeignCacheEntries() {
+    if (!persistentCache) return;
+    persistentCache.prune(MAX_PERSISTED).catch(e => {
+        logger('warn', 'cache', 'Persistent cache prune failed', { error: e?.message });
+    });
+}
+
+// Debounce utility (the returned function exposes cancel() for teardown)
+function debounce(fn, delay = 300) {
+    let t;
+    const debounced = function(...args) { clearTimeout(t); t = setTimeout(() => fn.apply(this, args), delay); };
+    debounced.cancel = () => clearTimeout(t);
+    return debounced;
+}
+
+// Superseded/cancelled fetches reject with AbortError (legacy DOMException code 20)
+function isAbortError(error) {
+    return !!(error && (error.name === 'AbortError' || error.code === 20));
+}
+
+// Partner Early-Access Code helpers (see CODE_FORMAT)
+const CODE_SEPARATORS = /[\s\-_./·•]+/g;
+
+function codeCharsetRegex(format) {
+    return new RegExp(`^[${format.charset || 'A-Z0-9'}]$`);
+}
+
+/**
+ * Uppercase, strip separators and map confusable characters that the charset does not allow.
+ */
+function normalizeCode(raw, format) {
+    const allowed = codeCharsetRegex(format);
+    const confusables = format.confusables || {};
+    return Array.from(String(raw ?? '').toUpperCase().replace(CODE_SEPARATORS, ''))
+        .map(ch => (!allowed.test(ch) && confusables[ch] && allowed.test(confusables[ch]) ? confusables[ch] : ch))
+        .join('');
+}
+
+// Display form: groups of `groupSize` joined by `groupSeparator` (or the code as-is)
+function formatCodeForDisplay(code, format) {
+    const size = Number(format.groupSize) || 0;
+    if (size <= 0) return code;
+    return (code.match(new RegExp(`.{1,${size}}`, 'g')) || []).join(format.groupSeparator ?? '-');
+}
+
+// Luhn mod N over the charset's alphabet: the last character is the check character
+function isValidLuhnModN(code, format) {
+    const allowed = codeCharsetRegex(format);
+    const alphabet = Array.from('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ').filter(ch => allowed.test(ch));
+    const n = alphabet.length;
+    let factor = 1;
+    let sum = 0;
+    for (let i = code.length - 1; i >= 0; i--) {
+        const codePoint = alphabet.indexOf(code[i]);
+        if (codePoint < 0) return false;
+        let addend = factor * codePoint;
+        factor = factor === 2 ? 1 : 2;
+        addend = Math.floor(addend / n) + (addend % n);
+        sum += addend;
+    }
+    return sum % n === 0;
+}
+
+/**
+ * Validate a normalized code locally. Returns { valid, error, invalidChars } where error is
+ * 'charset', 'length' or 'checksum'.
+ */
+function validateCode(code, format) {
+    const allowed = codeCharsetRegex(format);
+    const invalidChars = Array.from(new Set(Array.from(code).filter(ch => !allowed.test(ch))));
+    if (invalidChars.length) return { valid: false, error: 'charset', invalidChars };
+    if (code.length !== Number(format.length)) return { valid: false, error: 'length', invalidChars };
+    const check = format.checkDigit;
+    let checksumOk = true;
+    try {
+        if (typeof check === 'function') checksumOk = !!check(code);
+        else if (check === 'luhn-mod-n') checksumOk = isValidLuhnModN(code, format);
+    } catch (e) {
+        logger('error', 'validateCode', 'Check-digit rule failed', { error: e?.message });
+        checksumOk = false;
+    }
+    return checksumOk ? { valid: true, error: null, invalidChars } : { valid: false, error: 'checksum', invalidChars };
+}
+
+// Help text ({ key, values } message) shown under the code input for a failed validateCode result
+function codeValidationMessage(validation, format) {
+    if (validation.error === 'charset') {
+        return { key: 'code.invalidChars', values: { chars: validation.invalidChars.map(ch => `"${ch}"`).join(' ') } };
+    }
+    if (validation.error === 'checksum') return { key: 'code.checksum' };
+    return { key: 'code.length', values: { length: Number(format.length) } };
+}
+
+/**
+ * Message catalog. Patterns use an ICU MessageFormat subset: {name} interpolation,
+ * {count, plural, =0 {…} one {…} other {…}} (# is the number) and {key, select, a {…} other {…}}.
+ * Add locales with FTG_CONFIG.MESSAGES = { fr: { … } } or FTGForm.addMessages('fr', { … });
+ * missing keys fall back to the base language, then English.
+ */
+const DEFAULT_MESSAGES = {
+    en: {
+        'mode.codeNote': 'Note: Until the Star Rating announcement on February 11, 2026, only Global Partners can place Store orders. Please use the Redemption Code provided to your General Manager. Contact <a href="mailto:support@forbestravelguide.com">support@forbestravelguide.com</a> for assistance.',
+        'code.invalidChars': 'Partner Early-Access Codes only contain letters and numbers. Please remove: {chars}.',
+        'code.checksum': 'This Partner Early-Access Code is not valid. Please check it for typos.',
+        'code.length': 'Please check Partner Early-Access Code length. It must be exactly {length} characters.',
+        'code.searching': 'Looking up your code…',
+        'code.found': 'Establishment found: {name}',
+        'code.none': 'No establishment matches this code.',
+        'name.searching': 'Searching establishments…',
+        'name.count': '{count, plural, =0 {No establishments found.} one {# establishment found.} other {# establishments found.}}',
+        'name.listLabel': 'Establishments',
+        'name.otherGroup': 'Other establishments',
+        'noResults.name': 'No Official Establishment Name matches "{query}".',
+        'noResults.code': 'No Partner Early-Access Code matches "{query}".',
+        'noResults.generic': 'No results found for "{query}".',
+        'error.offline': 'You appear to be offline. We will retry when your connection is back.',
+        'error.circuitOpen': 'Search is temporarily unavailable. Please try again in a moment.',
+        'error.timeout': 'The search is taking longer than expected. Please try again.',
+        'error.generic': 'Something went wrong fetching results. Please try again.',
+        'error.retry': 'Retry',
+        'restore.failed': 'We could not restore your previous selection.',
+        'spinner.loading': 'Loading',
+        'locked.description': 'Filled in automatically from your establishment record.',
+        'modeSwitch.legend': 'How would you like to find your establishment?',
+        'modeSwitch.code': 'I have a code',
+        'modeSwitch.name': 'Search by name',
+        'validate.required': 'Please fill in {label}.',
+        'validate.code': 'Please enter a valid Partner Early-Access Code.',
+        'validate.name': 'Please choose your establishment from the list.',
+        'submit.success': 'Your order details were submitted.',
+        'submit.failed': 'We could not submit your order. Please try again.',
+        'integrity.notFound': 'This establishment is no longer available. Please search again.',
+        'integrity.failed': 'We could not verify your establishment details. Please try again.',
+        'integrity.fieldRestored': 'This value was updated from your establishment record.',
+        'integrity.restored': 'Some details did not match your establishment record and have been restored. Please review them and submit again.',
+        'mismatch.missing': 'This product does not have an option for "{value}".',
+        'mismatch.ambiguous': '"{value}" matches more than one option ({candidates}).',
+        'mismatch.title': 'This product is not available for your establishment',
+        'mismatch.description': '{count, plural, one {Your establishment record needs an option this product does not offer:} other {Your establishment record needs options this product does not offer:}}',
+        'mismatch.itemMissing': ': "{value}"',
+        'mismatch.itemAmbiguous': ': "{value}" matches more than one option ({candidates})',
+        'mismatch.availableOn': ' – available on:',
+        'mismatch.hint': '{blocking, select, true {Please select a different product.} other {Your selection has been kept; the options above were left blank.}}',
+        'mismatch.close': '{blocking, select, true {Choose a different product} other {OK}}',
+    }
+};
+
+// Loaded bundles by lowercase locale tag (page-wide; each controller picks its own locale)
+const messageBundles = {};
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+function normalizeLocale(locale) {
+    return String(locale || '').trim().replace(/_/g, '-').toLowerCase();
+}
+
+function addMessages(locale, messages) {
+    const key = normalizeLocale(locale);
+    if (!key || !messages || typeof messages !== 'object') return;
+    messageBundles[key] = { ...(messageBundles[key] || {}), ...messages };
+}
+Object.entries(DEFAULT_MESSAGES).forEach(([locale, messages]) => addMessages(locale, messages));
+Object.entries(CFG.MESSAGES || {}).forEach(([locale, messages]) => addMessages(locale, messages));
+
+// Configured locale, else <html lang>, else the browser language, else English
+function resolveLocale(preferred) {
+    const candidates = [preferred, document.documentElement?.getAttribute('lang'), typeof navigator !== 'undefined' ? navigator.language : null];
+    const found = candidates.find(c => normalizeLocale(c));
+    return found ? String(found).trim().replace(/_/g, '-') : 'en';
+}
+
+function isRtlLocale(locale) {
+    return RTL_LANGUAGES.includes(normalizeLocale(locale).split('-')[0]);
+}
+
+// Pattern for `key`: exact locale, then its base language, then English
+function lookupMessage(key, locale) {
+    const tag = normalizeLocale(locale);
+    const chain = [tag, tag.split('-')[0], 'en'];
+    for (const candidate of chain) {
+        const bundle = messageBundles[candidate];
+        if (bundle && Object.prototype.hasOwnProperty.call(bundle, key)) return bundle[key];
+    }
+    return null;
+}
+
+// Index of the brace closing the one at `start`
+function matchingBrace(pattern, start) {
+    let depth = 0;
+    for (let i = start; i < pattern.length; i++) {
+        if (pattern[i] === '{') depth++;
+        else if (pattern[i] === '}' && --depth === 0) return i;
+    }
+    throw new Error(`Unbalanced braces in message "${pattern}"`);
+}
+
+// "=0 {…} one {…} other {…}" -> { '=0': '…', one: '…', other: '…' }
+function parseMessageOptions(text) {
+    const options = {};
+    let i = 0;
+    while (i < text.length) {
+        const open = text.indexOf('{', i);
+        if (open < 0) break;
+        const selector = text.slice(i, open).trim();
+        const close = matchingBrace(text, open);
+        options[selector] = text.slice(open + 1, close);
+        i = close + 1;
+    }
+    return options;
+}
+
+function formatMessageArgument(body, values, locale) {
+    const firstComma = body.indexOf(',');
+    const name = (firstComma < 0 ? body : body.slice(0, firstComma)).trim();
+    const value = values[name];
+    if (firstComma < 0) {
+        if (typeof value === 'number') {
+            try { return new Intl.NumberFormat(locale).format(value); } catch (e) { return String(value); }
+        }
+        return value == null ? '' : String(value);
+    }
+    const secondComma = body.indexOf(',', firstComma + 1);
+    const type = body.slice(firstComma + 1, secondComma < 0 ? undefined : secondComma).trim();
+    const options = parseMessageOptions(secondComma < 0 ? '' : body.slice(secondComma + 1));
+    if (type === 'plural') {
+        const count = Number(value) || 0;
+        let category = 'other';
+        try { category = new Intl.PluralRules(locale).select(count); } catch (e) { category = count === 1 ? 'one' : 'other'; }
+        const chosen = options[`=${count}`] ?? options[category] ?? options.other ?? '';
+        let pound = String(count);
+        try { pound = new Intl.NumberFormat(locale).format(count); } catch (e) { /* noop */ }
+        return formatMessage(chosen, values, locale, pound);
+    }
+    if (type === 'select') {
+        const chosen = options[String(value)] ?? options.other ?? '';
+        return formatMessage(chosen, values, locale);
+    }
+    return value == null ? '' : String(value);
+}
+
+// Render an ICU-style pattern; `pound` replaces # inside a plural branch
+function formatMessage(pattern, values = {}, locale = 'en', pound = null) {
+    let out = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '{') {
+            const end = matchingBrace(pattern, i);
+            out += formatMessageArgument(pattern.slice(i + 1, end), values, locale);
+            i = end;
+        } else if (ch === '#' && pound !== null) {
+            out += pound;
+        } else {
+            out += ch;
+        }
+    }
+    return out;
+}
+
+// Translate `key` for `locale` (the key itself when no bundle has it)
+function t(key, values = {}, locale = resolveLocale(CFG.LOCALE)) {
+    const pattern = lookupMessage(key, locale);
+    if (pattern == null) return key;
+    try {
+        return formatMessage(pattern, values || {}, locale);
+    } catch (e) {
+        logger('error', 'i18n', 'Invalid message pattern', { key, locale, error: e?.message });
+        return pattern;
+    }
+}
+
+// Locale of the controller owning `el` (its root carries data-ftg-locale)
+function localeFor(el) {
+    const host = el && typeof el.closest === 'function' ? el.closest('[data-ftg-locale]') : null;
+    return host ? host.getAttribute('data-ftg-locale') : resolveLocale(CFG.LOCALE);
+}
+
+/**
+ * Write `message` into `el`: a plain string, or { key, values } from the catalog. Catalog
+ * messages remember their key and values so relocalize() can re-render them after a locale switch.
+ */
+function renderMessage(el, message, locale = localeFor(el), { html = false } = {}) {
+    if (!el) return;
+    if (message && typeof message === 'object' && message.key) {
+        el.setAttribute('data-ftg-msg', message.key);
+        if (message.values) el.setAttribute('data-ftg-msg-values', JSON.stringify(message.values));
+        else el.removeAttribute('data-ftg-msg-values');
+        if (html) el.setAttribute('data-ftg-msg-html', '');
+        const text = t(message.key, message.values, locale);
+        if (html) el.innerHTML = text;
+        else el.textContent = text;
+    } else {
+        el.removeAttribute('data-ftg-msg');
+        el.textContent = message == null ? '' : String(message);
+    }
+    el.dir = isRtlLocale(locale) ? 'rtl' : 'ltr';
+}
+
+// Re-render every catalog message inside (and including) `root`
+function relocalize(root, locale) {
+    if (!root) return;
+    const elements = Array.from(root.querySelectorAll('[data-ftg-msg]'));
+    if (root.hasAttribute && root.hasAttribute('data-ftg-msg')) elements.unshift(root);
+    elements.forEach(el => {
+        let values = null;
+        try { values = JSON.parse(el.getAttribute('data-ftg-msg-values') || 'null'); } catch (e) { /* noop */ }
+        renderMessage(el, { key: el.getAttribute('data-ftg-msg'), values }, locale, { html: el.hasAttribute('data-ftg-msg-html') });
+    });
+}
+
+// Writing direction at `el`: the nearest dir attribute, else its computed direction
+function directionAt(el) {
+    const dirHost = el && typeof el.closest === 'function' ? el.closest('[dir]') : null;
+    const dir = dirHost ? dirHost.getAttribute('dir') : null;
+    if (dir === 'rtl' || dir === 'ltr') return dir;
+    try { return window.getComputedStyle(el).direction === 'rtl' ? 'rtl' : 'ltr'; } catch (e) { return 'ltr'; }
+}
+
+// Controllers by root element (one per form)
+const controllerRegistry = new WeakMap();
+// Live controllers, for page-wide calls such as FTGForm.setLocale
+const liveControllers = new Set();
+// URL deep links are applied once per page, by the first controller that restores state
+let deepLinkClaimed = false;
+const DRAFT_PREFIX = 'ftg:draft:';
+
+// Lifecycle events: FTGForm.on(type, fn) subscribers, mirrored as bubbling `ftg:<type>` DOM events
+const LIFECYCLE_EVENTS = ['modechange', 'lookupstart', 'lookupsuccess', 'lookupnoresults', 'lookuperror', 'recordselected', 'selectioninvalidated', 'mismatch', 'beforesubmit', 'submitsuccess', 'submiterror', 'localechange', 'schedulechange'];
+// Funnel step recorded for each lifecycle event ('start' is the first keystroke in the form)
+const FUNNEL_STEPS = { lookupstart: 'lookup', recordselected: 'select', beforesubmit: 'submit', submitsuccess: 'success' };
+// Events whose default action listeners may cancel with event.preventDefault()
+const CANCELABLE_EVENTS = ['beforesubmit'];
+
+// The first scheduled banner above a form keeps this legacy id
+const MODE_NOTE_ID = 'ftg-mode-note';
+// Mode switcher labels for the built-in modes; other modes show their name
+const MODE_SWITCH_LABELS = { [MODE_CODE]: { key: 'modeSwitch.code' }, [MODE_NAME]: { key: 'modeSwitch.name' } };
+let modeSwitcherCount = 0;
+
+/**
+ * Controller for one dual-mode form. Fields, mode, selection, listeners, in-flight requests
+ * and the banners are all scoped to `rootEl` (a <form>, or a container holding the
+ * .form-item wrappers), so several forms can live on one page.
+ * `config` is merged over window.FTG_CONFIG and the defaults.
+ */
+class FTGFormController {
+    constructor(rootEl, config = {}) {
+        if (!rootEl || typeof rootEl.querySelectorAll !== 'function') {
+            throw new TypeError('FTGFormController requires a root element');
+        }
+        // One controller per root: replacing one tears the previous down first
+        const existing = controllerRegistry.get(rootEl);
+        if (existing) existing.destroy();
+
+        this.root = rootEl;
+        this.config = resolveConfig(config);
+        this.debug = !!this.config.DEBUG;
+        this.schema = buildFormSchema(this.config.FORM_SCHEMA);
+        this.labelToKey = buildLabelMap(this.schema);
+        this.dataSource = createDataSource(this.config.DATA_SOURCE, this.config);
+        this.cacheNamespace = registerCacheNamespace(this.config);
+        // Airtable columns queried by the two lookups
+        this.codeColumn = getSchemaField(this.schema, 'redemptionCode')?.column || 'Redemption Code';
+        this.nameColumn = getSchemaField(this.schema, 'officialEstablishmentName')?.column || 'Official Establishment Name';
+        // UI language; messages inside rootEl resolve it through data-ftg-locale
+        this.locale = resolveLocale(this.config.LOCALE);
+        this.localeOverride = null;
+        rootEl.setAttribute('data-ftg-locale', this.locale);
+        // Cached form element for submit gating
+        this.formEl = rootEl.matches('form') ? rootEl : (rootEl.querySelector('form') || rootEl.closest('form'));
+
+        // Scheduled banners and time-gated modes for this form's audience
+        this.schedule = buildSchedule(this.config.SCHEDULE, this.config.SCHEDULE_TIME_ZONE);
+        this.audience = this.config.AUDIENCE ?? rootEl.getAttribute('data-ftg-audience');
+        this.activeSchedule = this.activeScheduleEntries();
+        this.scheduleTimer = null;
+
+        this.fields = {};
+        this.currentMode = this.availableMode(this.schema.defaultMode);
+        this.autocompleteInstance = null;
+        // Track last valid selection for establishment name to know when to invalidate
+        this.lastSelectedEstablishment = { id: null, name: null };
+        // Full record behind the current selection (event payloads, population, drafts)
+        this.selectedRecord = null;
+        // In-flight deep-link / draft restore
+        this.restoreController = null;
+        this.verifyController = null;
+        // Failed lookup to re-run on Retry or when the browser comes back online
+        this.pendingRetry = null;
+        // Polite live region for lookup progress and result counts
+        this.liveRegion = null;
+        this.announceTimer = null;
+        // Submit pipeline state: running, and the one native submit it has approved
+        this.submitting = false;
+        this.nativeSubmitApproved = false;
+        this.suppressDraftSave = false;
+        // Lifecycle subscribers by event type
+        this.eventHandlers = new Map();
+        // Funnel metrics: steps reached since the first keystroke
+        this.funnelSteps = new Set();
+        this.funnelStartedAt = null;
+        // Controllers for canceling in-flight requests
+        this.nameSearchController = null;
+        this.codeLookupController = null;
+        // Open mismatch dialog (one per controller; repeat mismatches update it)
+        this.mismatchDialog = null;
+        // Banner elements by schedule entry id
+        this.bannerEls = new Map();
+        this.modeSwitcherEl = null;
+        // Listeners bound to individual field controls, by field key: { element, cleanups }
+        this.fieldBindings = new Map();
+        // Teardown callbacks (listeners, timers, debouncers) run by destroy()
+        this.cleanups = [];
+        this.destroyed = false;
+
+        controllerRegistry.set(rootEl, this);
+        liveControllers.add(this);
+        this.initialize();
+    }
+
+    static getInstance(rootEl) {
+        return controllerRegistry.get(rootEl) || null;
+    }
+
+    /**
+     * Subscribe to a lifecycle event. Handlers receive (detail, event); `detail` always carries
+     * { mode, record, values } and `event` is the DOM CustomEvent dispatched on the form.
+     */
+    on(type, handler) {
+        if (!LIFECYCLE_EVENTS.includes(type)) console.warn(`Unknown FTGForm event: ${type}`);
+        if (typeof handler !== 'function') return this;
+        if (!this.eventHandlers.has(type)) this.eventHandlers.set(type, new Set());
+        this.eventHandlers.get(type).add(handler);
+        return this;
+    }
+
+    off(type, handler) {
+        const handlers = this.eventHandlers.get(type);
+        if (!handlers) return this;
+        if (handler) handlers.delete(handler); else handlers.clear();
+        return this;
+    }
+
+    /**
+     * Notify subscribers and dispatch `ftg:<type>` on the form. Returns false when a
+     * cancelable event was vetoed via event.preventDefault().
+     */
+    emit(type, detail = {}) {
+        const payload = { mode: this.currentMode, record: this.selectedRecord, values: this.getValues(), ...detail };
+        const target = this.formEl || this.root;
+        const event = new CustomEvent(`ftg:${type}`, { bubbles: true, cancelable: CANCELABLE_EVENTS.includes(type), detail: payload });
+        this.trackEvent(type, detail);
+        (this.eventHandlers.get(type) || []).forEach(handler => {
+            try { handler(payload, event); } catch (e) { console.error(`FTGForm "${type}" handler error:`, e); }
+        });
+        if (target && target.isConnected !== false) target.dispatchEvent(event);
+        return !event.defaultPrevented;
+    }
+
+    // Metrics derived from lifecycle events (tags carry no user input)
+    trackEvent(type, detail) {
+        try {
+            if (type === 'lookupsuccess' && !detail.revalidated) track('lookup.result', 1, { lookup: detail.lookup, outcome: 'found' });
+            else if (type === 'lookupnoresults') track('lookup.result', 1, { lookup: detail.lookup, outcome: 'none' });
+            else if (type === 'lookuperror') track('lookup.result', 1, { lookup: detail.lookup, outcome: 'error', offline: !!detail.offline });
+            else if (type === 'mismatch') track('mismatch', 1, { field: detail.field, reason: detail.reason });
+            else if (type === 'submiterror') track('submit.error', 1, { stage: detail.stage });
+            if (FUNNEL_STEPS[type]) this.funnelStep(FUNNEL_STEPS[type]);
+        } catch (e) {
+            if (this.debug) console.error('Failed recording metrics:', e);
+        }
+    }
+
+    /**
+     * Funnel from the first keystroke to a successful submit: each step is recorded once, with
+     * the ms since the funnel started. A successful submit starts a new funnel.
+     */
+    funnelStep(step) {
+        if (this.funnelSteps.has(step)) return;
+        if (this.funnelStartedAt === null) this.funnelStartedAt = metricClock();
+        this.funnelSteps.add(step);
+        track('funnel', Math.round(metricClock() - this.funnelStartedAt), { step, mode: this.currentMode });
+        if (step === 'success') {
+            this.funnelSteps.clear();
+            this.funnelStartedAt = null;
+        }
+    }
+
+    // Current value of every mapped field, keyed by schema key
+    getValues() {
+        const values = {};
+        Object.entries(this.fields).forEach(([fieldName, field]) => {
+            if (field?.input) values[fieldName] = field.input.value;
+            else if (field?.select) values[fieldName] = field.select.multiple ? Array.from(field.select.selectedOptions, o => o.value) : field.select.value;
+            else if (field?.choices) values[fieldName] = choiceFieldValue(field);
+        });
+        return values;
+    }
+
+    // Catalog message in this form's locale
+    t(key, values) {
+        return t(key, values, this.locale);
+    }
+
+    /**
+     * Switch the UI language at runtime (null goes back to the configured locale, or <html lang>)
+     * and re-render every catalog message this form has shown.
+     */
+    setLocale(locale) {
+        this.localeOverride = locale || null;
+        const previousLocale = this.locale;
+        const next = resolveLocale(locale || this.config.LOCALE);
+        if (next === previousLocale) return;
+        this.locale = next;
+        this.root.setAttribute('data-ftg-locale', next);
+        this.relocalize();
+        const menu = this.autocompleteInstance && typeof this.autocompleteInstance.getDropMenu === 'function' ? this.autocompleteInstance.getDropMenu() : null;
+        if (menu) menu.setAttribute('aria-label', this.t('name.listLabel'));
+        this.emit('localechange', { locale: next, previousLocale });
+    }
+
+    // Re-render every catalog message inside the form, its banners and its dialog
+    relocalize() {
+        relocalize(this.root, this.locale);
+        this.bannerEls.forEach(el => relocalize(el, this.locale));
+        relocalize(this.modeSwitcherEl, this.locale);
+        relocalize(this.mismatchDialog?.element, this.locale);
+    }
+
+    // Schedule entries for this form's audience that are open at `now`
+    activeScheduleEntries(now = scheduleNow()) {
+        return this.schedule.filter(entry => scheduleEntryMatchesAudience(entry, this.audience) && isScheduleEntryActive(entry, now));
+    }
+
+    /**
+     * A schema mode listed in some entry's enableModes is only offered while one of those
+     * entries is active; other modes are always available.
+     */
+    isModeAvailable(mode) {
+        if (!this.schema.modes.includes(mode)) return false;
+        const gates = this.schedule.filter(entry => scheduleEntryMatchesAudience(entry, this.audience) && Array.isArray(entry.enableModes) && entry.enableModes.includes(mode));
+        return !gates.length || gates.some(entry => this.activeSchedule.includes(entry));
+    }
+
+    getAvailableModes() {
+        return this.schema.modes.filter(mode => this.isModeAvailable(mode));
+    }
+
+    // `mode` when available, else the schema default, else the first available mode
+    availableMode(mode) {
+        return [mode, this.schema.defaultMode, ...this.schema.modes].find(m => this.isModeAvailable(m)) || mode;
+    }
+
+    /**
+     * Re-evaluate the schedule: update banners, leave a mode whose window closed, and arm a
+     * timer for the next start or end.
+     */
+    applySchedule() {
+        if (this.destroyed) return;
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = null;
+        const now = scheduleNow();
+        const previous = this.activeSchedule;
+        this.activeSchedule = this.activeScheduleEntries(now);
+        const changed = previous.length !== this.activeSchedule.length || previous.some((entry, i) => entry !== this.activeSchedule[i]);
+        if (changed) {
+            if (this.debug) console.log('Schedule changed:', this.activeSchedule.map(entry => entry.id));
+            const mode = this.availableMode(this.currentMode);
+            if (mode !== this.currentMode) this.setMode(mode);
+            else this.updateBanners(mode);
+            this.syncModeSwitcher();
+            this.emit('schedulechange', { active: this.activeSchedule.map(entry => entry.id), availableModes: this.getAvailableModes() });
+        }
+        const next = nextScheduleBoundary(this.schedule, now);
+        if (next !== null) this.scheduleTimer = setTimeout(() => this.applySchedule(), Math.min(next - now, MAX_TIMER_DELAY));
+    }
+
+    // Visually hidden polite live region, one per form
+    createLiveRegion() {
+        if (this.liveRegion) return;
+        ensureLoaderStyles();
+        const region = document.createElement('div');
+        region.className = 'ftg-sr-only';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        region.setAttribute('data-ftg-live-region', '');
+        (this.formEl || this.root).appendChild(region);
+        this.liveRegion = region;
+    }
+
+    // Announce through the live region; clearing first lets a repeated message be read again
+    announce(message) {
+        const region = this.liveRegion;
+        if (!region) return;
+        region.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => { region.textContent = message; }, 50);
+    }
+
+    // addEventListener that destroy() undoes
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+        return handler;
+    }
+
+    // debounce whose pending call destroy() cancels
+    debounced(fn, delay) {
+        const d = debounce(fn, delay);
+        this.cleanups.push(d.cancel);
+        return d;
+    }
+
+    initialize() {
+        this.renderModeSwitcher();
+        this.initializeFields();
+        this.bindFieldListeners();
+        if (typeof window.Autocomplete === 'undefined') {
+            const bindWhenReady = () => {
+                if (!this.destroyed && typeof window.Autocomplete !== 'undefined') this.bindFieldListeners();
+            };
+            this.listen(window, 'autocompleteReady', bindWhenReady, { once: true });
+            const timer = setTimeout(() => {
+                if (typeof window.Autocomplete !== 'undefined') {
+                    bindWhenReady();
+                } else {
+                    console.error('Autocomplete class still not available after timeout.');
+                }
+            }, 1000);
+            this.cleanups.push(() => clearTimeout(timer));
+        }
+        if (this.formEl) {
+            this.updateFormSubmitState();
+            this.handleFormSubmission(this.formEl);
+        }
+        this.listen(window, 'online', () => this.retryPendingLookup());
+        this.listen(this.root, 'input', (event) => {
+            if (event.isTrusted !== false) this.funnelStep('start');
+        });
+        this.createLiveRegion();
+        // Timers are throttled in background tabs; catch up on a boundary missed meanwhile
+        this.listen(document, 'visibilitychange', () => { if (!document.hidden) this.applySchedule(); });
+        this.cleanups.push(() => clearTimeout(this.scheduleTimer));
+        this.applySchedule();
+        // Without a configured locale, follow <html lang> changes (e.g. a storefront language switcher)
+        if (!this.config.LOCALE && typeof MutationObserver !== 'undefined' && document.documentElement) {
+            const langObserver = new MutationObserver(() => { if (!this.localeOverride) this.setLocale(null); });
+            langObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['lang'] });
+            this.cleanups.push(() => langObserver.disconnect());
+        }
+        this.observeFieldChanges();
+        this.restoreState();
+    }
+
+    /**
+     * Bind the lookup and draft listeners to the current field controls. A control that is already
+     * bound is skipped, so this is safe to call again; the name autocomplete waits for the library.
+     */
+    bindFieldListeners() {
+        this.bindField('redemptionCode', () => this.addRedemptionCodeListener());
+        if (typeof window.Autocomplete !== 'undefined') this.bindField('officialEstablishmentName', () => this.addEstablishmentNameListener());
+        this.bindField('customEstablishmentName', input => this.listen(input, 'input', this.debounced(() => this.saveDraft(), 300)));
+    }
+
+    // Run `bind` for a field's input unless that element is already bound; bindings of a replaced input are torn down first
+    bindField(key, bind) {
+        const element = this.fields[key]?.input || null;
+        const current = this.fieldBindings.get(key);
+        if (current && current.element === element) return;
+        this.unbindField(key);
+        if (!element) return;
+        const binding = { element, cleanups: [] };
+        this.fieldBindings.set(key, binding);
+        // listen()/debounced() inside `bind` register their teardown on the binding, not the controller
+        const controllerCleanups = this.cleanups;
+        this.cleanups = binding.cleanups;
+        try { bind(element); } finally { this.cleanups = controllerCleanups; }
+    }
+
+    unbindField(key) {
+        const binding = this.fieldBindings.get(key);
+        if (!binding) return;
+        this.fieldBindings.delete(key);
+        binding.cleanups.splice(0).forEach(fn => {
+            try { fn(); } catch (e) { /* noop */ }
+        });
+    }
+
+    // Rebind (debounced) when the storefront adds or removes field markup inside the root
+    observeFieldChanges() {
+        if (!this.config.AUTO_REBIND || typeof MutationObserver === 'undefined') return;
+        const rebind = this.debounced(() => this.rebindFields(), 50);
+        const observer = new MutationObserver(mutations => {
+            if (mutations.some(touchesFormControls)) rebind();
+        });
+        observer.observe(this.root, { childList: true, subtree: true });
+        this.cleanups.push(() => observer.disconnect());
+    }
+
+    /**
+     * Re-scan the fields after their markup was re-rendered. Replaced controls get the previous
+     * values (and the selected record's options again), the mode's hide/lock rules, and fresh
+     * listeners; stale bindings and the autocomplete instance are torn down. Returns false when
+     * no control changed.
+     */
+    rebindFields() {
+        if (this.destroyed) return false;
+        const previous = this.fields;
+        const next = this.scanFields();
+        const replaced = Array.from(new Set([...Object.keys(previous), ...Object.keys(next)]))
+            .filter(key => fieldControl(previous[key]) !== fieldControl(next[key]));
+        if (!replaced.length) return false;
+        logger('info', 'rebindFields', 'Form fields re-rendered, rebinding', { fields: replaced });
+        this.fields = next;
+        replaced.forEach(key => {
+            const before = previous[key];
+            const after = next[key];
+            if (!before || !after) return;
+            if (before.input && after.input) after.input.value = before.input.value;
+            if (before.select && after.select) {
+                // A mirror left behind by the old locked select would submit the value twice
+                after.select.parentNode?.querySelectorAll(':scope > input[data-ftg-locked-mirror]').forEach(mirror => {
+                    if (mirror.name === after.select.name) mirror.remove();
+                });
+                const value = before.select.value;
+                if (value && after.select.value !== value && Array.from(after.select.options).some(option => option.value === value)) {
+                    withSelectAdapter(after.select, 'setValue', value);
+                }
+            }
+            if (before.choices && after.choices) {
+                const checked = [].concat(choiceFieldValue(before));
+                after.choices.forEach(el => { if (el.matches('input')) el.checked = checked.includes(el.value); });
+            }
+        });
+        // The new markup may offer different options (e.g. another variant): match the record again
+        const record = this.selectedRecord;
+        if (record) {
+            const mismatches = this.updateSelectElements(record.fields);
+            if (mismatches.length) this.resolveMismatches(mismatches, record);
+        }
+        this.enterMode(this.currentMode);
+        this.bindFieldListeners();
+        this.updateFormSubmitState();
+        return true;
+    }
+
+    /**
+     * Apply a URL deep link (?ftg_code=… or ?ftg_establishment=rec…) if this is the first
+     * controller to claim it, otherwise restore the session draft.
+     */
+    restoreState() {
+        const params = this.config.DEEP_LINK_PARAMS;
+        if (params && !deepLinkClaimed) {
+            let url = null;
+            try { url = new URL(window.location.href); } catch (e) { /* noop */ }
+            const code = url && params.code ? url.searchParams.get(params.code) : null;
+            const recordId = url && params.establishment ? url.searchParams.get(params.establishment) : null;
+            if (code || recordId) {
+                deepLinkClaimed = true;
+                // Consume the parameters so a later reload restores the draft instead
+                [params.code, params.establishment].forEach(name => name && url.searchParams.delete(name));
+                try { window.history.replaceState(window.history.state, '', url.toString()); } catch (e) { /* noop */ }
+                if (code) this.prefillCode(code);
+                else this.restoreRecord(recordId, { mode: MODE_NAME });
+                return;
+            }
+        }
+        const draft = this.readDraft();
+        if (!draft) return;
+        if (draft.mode && draft.mode !== this.currentMode && this.isModeAvailable(draft.mode)) {
+            // Keep the stored draft intact until the record is back
+            this.suppressDraftSave = true;
+            this.setMode(draft.mode);
+            this.suppressDraftSave = false;
+        }
+        if (draft.code && this.fields.redemptionCode?.input) {
+            this.fields.redemptionCode.input.value = formatCodeForDisplay(draft.code, this.config.CODE_FORMAT);
+        }
+        if (draft.recordId) this.restoreRecord(draft.recordId, { customName: draft.customName });
+    }
+
+    // Deep-linked code: switch to code lookup and run it through the normal input path
+    prefillCode(code) {
+        const input = this.fields.redemptionCode?.input;
+        if (!input) return;
+        if (this.currentMode !== MODE_CODE && this.isModeAvailable(MODE_CODE)) this.setMode(MODE_CODE);
+        input.value = code;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Fetch a record by id and select it through the same population path as a lookup.
+     * `customName` (from a draft) is re-applied after population.
+     */
+    async restoreRecord(recordId, { mode, customName } = {}) {
+        if (!this.canFetchRecordById()) {
+            logger('warn', 'restoreRecord', 'No getRecord() or RECORD_ID_FIELD: record not restored', { recordId });
+            return;
+        }
+        if (mode && mode !== this.currentMode && this.isModeAvailable(mode)) this.setMode(mode);
+        if (this.restoreController) try { this.restoreController.abort(); } catch (e) { /* noop */ }
+        this.restoreController = new AbortController();
+        const signal = this.restoreController.signal;
+        const nameInput = this.fields.officialEstablishmentName?.input;
+        const container = nameInput?.parentNode || null;
+        removeInlineErrorMessage(container);
+        showInlineSpinner(container, { inField: true });
+        try {
+            const record = await this.fetchRecordById(recordId, signal);
+            // The user made a selection of their own in the meantime
+            if (signal.aborted || this.lastSelectedEstablishment.id) return;
+            if (!record) {
+                logger('warn', 'restoreRecord', 'Record not found', { recordId });
+                this.clearDraft();
+                return;
+            }
+            this.selectRecord(record, this.currentMode === MODE_CODE ? 'code' : 'name');
+            if (customName && this.lastSelectedEstablishment.id && this.fields.customEstablishmentName?.input) {
+                this.fields.customEstablishmentName.input.value = customName;
+                this.saveDraft();
+            }
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error restoring establishment selection:', error);
+            const retry = () => {
+                this.pendingRetry = null;
+                if (!this.lastSelectedEstablishment.id) this.restoreRecord(recordId, { customName });
+            };
+            this.pendingRetry = retry;
+            if (container) showInlineErrorMessage(container, { key: 'restore.failed' }, { onRetry: retry });
+        } finally {
+            removeInlineSpinner(container);
+        }
+    }
+
+    // Whether records can be fetched by id: a data source getRecord() or a RECORD_ID_FIELD column
+    canFetchRecordById() {
+        return typeof this.dataSource.getRecord === 'function' || !!this.config.RECORD_ID_FIELD;
+    }
+
+    // Record by id: the data source's getRecord() when available, else a RECORD_ID_FIELD lookup.
+    // `fresh` skips the cache read (the response still refreshes the cache).
+    async fetchRecordById(recordId, signal, { fresh = false } = {}) {
+        if (!recordId || !this.canFetchRecordById()) return null;
+        if (typeof this.dataSource.getRecord === 'function') {
+            const record = await timedLookup('record', () => this.dataSource.getRecord(recordId, { signal }));
+            return record ? normalizeWithSource(this.dataSource, record) : null;
+        }
+        const data = await this.queryAirtableContains(this.config.RECORD_ID_FIELD, recordId, signal, { fresh });
+        return data.records.find(r => r.id === recordId) || null;
+    }
+
+    // sessionStorage key for this form's draft (page path + form identity)
+    getDraftKey() {
+        const forms = Array.from(document.querySelectorAll('form'));
+        const identity = this.root.id || this.formEl?.id || `form${forms.indexOf(this.formEl)}`;
+        return `${DRAFT_PREFIX}${window.location.pathname}:${identity}`;
+    }
+
+    readDraft() {
+        if (this.config.DRAFT_STORAGE !== 'session') return null;
+        try {
+            const raw = window.sessionStorage.getItem(this.getDraftKey());
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Persist mode, selected record id, code and custom name (no-op while destroyed, restoring or disabled)
+    saveDraft() {
+        if (this.destroyed || this.suppressDraftSave || this.config.DRAFT_STORAGE !== 'session') return;
+        const draft = {
+            mode: this.currentMode,
+            recordId: this.lastSelectedEstablishment.id || null,
+            code: this.currentMode === MODE_CODE && this.lastSelectedEstablishment.id ? this.getRedemptionCode() : null,
+            customName: this.fields.customEstablishmentName?.input?.value || null,
+            savedAt: Date.now()
+        };
+        try { window.sessionStorage.setItem(this.getDraftKey(), JSON.stringify(draft)); } catch (e) { /* storage full or unavailable */ }
+    }
+
+    clearDraft() {
+        try { window.sessionStorage.removeItem(this.getDraftKey()); } catch (e) { /* noop */ }
+    }
+
+    /**
+     * Remove every listener, timer, in-flight request, autocomplete instance and note this
+     * controller created. Field values are left as they are.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.pendingRetry = null;
+        [this.nameSearchController, this.codeLookupController, this.restoreController, this.verifyController].forEach(controller => {
+            if (controller) try { controller.abort(); } catch (e) { /* noop */ }
+        });
+        this.cleanups.splice(0).forEach(fn => {
+            try { fn(); } catch (e) { /* noop */ }
+        });
+        Array.from(this.fieldBindings.keys()).forEach(key => this.unbindField(key));
+        Object.values(this.fields).forEach(fieldObj => {
+            const wrapper = fieldObj?.wrapper;
+            if (!wrapper) return;
+            removeInlineErrorMessage(wrapper);
+            removeNoResultsMessage(wrapper);
+            removeInlineSpinner(wrapper);
+        });
+        this.bannerEls.forEach(el => el.remove());
+        this.bannerEls.clear();
+        if (this.modeSwitcherEl) {
+            this.modeSwitcherEl.remove();
+            this.modeSwitcherEl = null;
+        }
+        clearTimeout(this.announceTimer);
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+        if (this.mismatchDialog) {
+            this.mismatchDialog.close();
+            this.mismatchDialog = null;
+        }
+        this.eventHandlers.clear();
+        if (controllerRegistry.get(this.root) === this) controllerRegistry.delete(this.root);
+        liveControllers.delete(this);
+        this.root.removeAttribute('data-ftg-locale');
+    }
+
+    /**
+     * Reset all dependent form fields to defaults while preserving the provided exclusions
+     * (typically the currently edited text fields).
+     */
+    resetDependentFields(exclusions = []) {
+        const excludeSet = new Set(exclusions);
+        const invalidatedRecord = this.lastSelectedEstablishment.id ? this.selectedRecord : null;
+        this.resetFields(exclusions);
+        // Ensure Custom Establishment Name is cleared unless explicitly excluded
+        if (!excludeSet.has('customEstablishmentName') && this.fields.customEstablishmentName?.input) {
+            this.fields.customEstablishmentName.input.value = '';
+        }
+        // Forget last valid selection
+        this.lastSelectedEstablishment.id = null;
+        this.lastSelectedEstablishment.name = null;
+        this.selectedRecord = null;
+        // Update submit gating
+        this.updateFormSubmitState();
+        if (invalidatedRecord) {
+            this.saveDraft();
+            this.emit('selectioninvalidated', { record: invalidatedRecord });
+        }
+    }
+
+    /**
+     * Scan the root for `.form-item` wrappers and build the fields map.
+     * Idempotent: safe to call on dynamic content updates.
+     */
+    initializeFields() {
+        this.fields = this.scanFields();
+        if (this.debug) console.log('Initialized fields (scanned .form-item):', Object.keys(this.fields));
+        this.setMode(this.currentMode);
+    }
+
+    // Fields map ({ [key]: { label, wrapper, control, input, select, choices } }) for the markup currently in the root
+    scanFields() {
+        const fields = {};
+        const labelToKey = this.labelToKey;
+        const items = this.root.querySelectorAll('.form-item');
+        items.forEach(item => {
+            // Radio/checkbox/swatch groups are usually a fieldset whose legend names the field
+            const label = item.querySelector('legend') || item.querySelector('label');
+            if (!label) return;
+            // Capture the visible text minus any required markers / child spans
+            let rawText = (label.textContent || '').trim().replace(/\s+/g, ' ');
+            // Remove common adornments like '(required)' or trailing colons
+            rawText = rawText.replace(/\(required\)/i, '').replace(/:$/, '').trim();
+
+            let key = labelToKey[rawText];
+
+            // Fallback 1: partial (startsWith) match for labels that append required markers or other text
+            if (!key) {
+                for (const [knownLabel, mappedKey] of Object.entries(labelToKey)) {
+                    if (rawText.toLowerCase().startsWith(knownLabel.toLowerCase())) {
+                        key = mappedKey; break;
+                    }
+                }
+            }
+
+            // Derive from select[data-name] if still not matched
+            const selectEl = item.querySelector('select');
+            if (!key && selectEl && selectEl.getAttribute('data-name')) {
+                const dataName = selectEl.getAttribute('data-name').trim();
+                key = labelToKey[dataName] || Object.entries(labelToKey).find(([k]) => dataName.toLowerCase() === k.toLowerCase())?.[1];
+            }
+
+            if (!key) {
+                if (this.debug) console.warn('Unmapped form-item label text:', rawText, item);
+                return; // ignore unrelated form-items
+            }
+            fields[key] = { label, wrapper: item, ...findFieldControls(item, getSchemaField(this.schema, key)) };
+        });
+        // Fields located by a schema selector instead of a labelled .form-item (e.g. hidden inputs)
+        this.schema.fields.forEach(schemaField => {
+            if (!schemaField.selector || fields[schemaField.key]) return;
+            let target = null;
+            try { target = this.root.querySelector(schemaField.selector); } catch (e) {
+                logger('warn', 'scanFields', 'Invalid field selector', { key: schemaField.key, selector: schemaField.selector });
+            }
+            if (!target) return;
+            fields[schemaField.key] = { label: target.querySelector('legend') || target.querySelector('label'), wrapper: target, ...findFieldControls(target, schemaField) };
+        });
+        return fields;
+    }
+
+    // Helper to safely retrieve a field object
+    getField(name) {
+        return this.fields[name] || null;
+    }
+
+    // Bulk reset with optional exclusions
+    resetFields(exclusions = []) {
+        const excludeSet = new Set(exclusions);
+        Object.entries(this.fields).forEach(([name, fieldObj]) => {
+            if (excludeSet.has(name)) return;
+            resetField(fieldObj);
+        });
+    }
+
+    /**
+     * Mode state machine. Re-applying the current mode only re-syncs fields; a transition first
+     * leaves the old mode (exitMode) and then enters the new one (enterMode). Returns false for
+     * a mode the schedule has not opened yet.
+     */
+    setMode(mode) {
+        if (this.schema.modes.includes(mode) && !this.isModeAvailable(mode)) {
+            logger('warn', 'setMode', 'Mode is not available yet', { mode });
+            this.syncModeSwitcher();
+            return false;
+        }
+        const previousMode = this.currentMode;
+        if (mode !== previousMode) this.exitMode(previousMode);
+        this.currentMode = mode;
+        this.enterMode(mode);
+        if (mode !== previousMode) {
+            this.saveDraft();
+            this.emit('modechange', { previousMode });
+        }
+        return true;
+    }
+
+    // Leave a mode: abort its lookups, clear its messages and drop the selection it produced
+    exitMode(mode) {
+        if (this.debug) console.log('Leaving mode:', mode);
+        [this.nameSearchController, this.codeLookupController, this.restoreController].forEach(controller => {
+            if (controller) try { controller.abort(); } catch (e) { /* noop */ }
+        });
+        this.pendingRetry = null;
+        if (this.autocompleteInstance) try { this.autocompleteInstance.hideSuggestions(); } catch (e) { /* noop */ }
+        this.clearInlineMessages();
+        this.clearSubmitErrors();
+        // The record (and the lookup text that found it) belongs to the old mode
+        this.resetDependentFields();
+    }
+
+    // Enter a mode: show/hide and lock/unlock fields per the schema, then update banners and the switcher
+    enterMode(mode) {
+        const config = getModeConfig(this.schema, mode);
+        this.hideElements(config.hide);
+        this.preventInteraction(config.prevent);
+        this.updateBanners(mode);
+        this.syncModeSwitcher();
+    }
+
+    // Show the banners of active schedule entries that apply to `mode` above the form, in schedule order
+    updateBanners(mode) {
+        try {
+            // Banners go above the mode switcher when there is one
+            const anchor = this.modeSwitcherEl || this.formEl || this.root;
+            if (!anchor.parentNode) return; // form not attached yet
+            const banners = this.activeSchedule.filter(entry => entry.message && (entry.modes == null || appliesToMode(entry.modes, mode)));
+            const shown = new Set(banners.map(entry => entry.id));
+            this.bannerEls.forEach((el, id) => {
+                if (shown.has(id)) return;
+                el.remove();
+                this.bannerEls.delete(id);
+            });
+            banners.forEach(entry => {
+                let el = this.bannerEls.get(entry.id);
+                if (!el) {
+                    el = document.createElement('div');
+                    if (!document.getElementById(MODE_NOTE_ID)) el.id = MODE_NOTE_ID;
+                    el.className = 'ftg-mode-note';
+                    el.setAttribute('role', 'note');
+                    el.setAttribute('data-ftg-mode-note', '');
+                    el.setAttribute('data-ftg-banner', entry.id);
+                    ensureLoaderStyles();
+                    // Banner text is trusted catalog HTML (links); html: false renders it as text
+                    const message = typeof entry.message === 'string' ? { key: entry.message } : entry.message;
+                    renderMessage(el, message, this.locale, { html: entry.html !== false });
+                    this.bannerEls.set(entry.id, el);
+                }
+                anchor.parentNode.insertBefore(el, anchor);
+            });
+        } catch (e) {
+            if (this.debug) console.error('Failed updating banners:', e);
+        }
+    }
+
+    /**
+     * Render the segmented mode toggle (MODE_SWITCHER) above the form: a radio group, so arrow
+     * keys move between modes. Only modes the schedule has opened are offered.
+     */
+    renderModeSwitcher() {
+        const option = this.config.MODE_SWITCHER;
+        if (!option || this.modeSwitcherEl) return;
+        const anchor = this.formEl || this.root;
+        if (!anchor.parentNode) return;
+        ensureLoaderStyles();
+        const settings = typeof option === 'object' ? option : {};
+        const name = `ftg-mode-${++modeSwitcherCount}`;
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'ftg-mode-switch';
+        fieldset.setAttribute('data-ftg-mode-switch', '');
+        const legend = document.createElement('legend');
+        legend.className = 'ftg-sr-only';
+        renderMessage(legend, settings.legend || { key: 'modeSwitch.legend' }, this.locale);
+        fieldset.appendChild(legend);
+        this.schema.modes.forEach(mode => {
+            const label = document.createElement('label');
+            label.className = 'ftg-mode-switch-option';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = name;
+            radio.value = mode;
+            const text = document.createElement('span');
+            renderMessage(text, settings.labels?.[mode] || MODE_SWITCH_LABELS[mode] || mode, this.locale);
+            label.appendChild(radio);
+            label.appendChild(text);
+            fieldset.appendChild(label);
+        });
+        this.listen(fieldset, 'change', (event) => {
+            if (event.target.name === name && event.target.checked) this.setMode(event.target.value);
+        });
+        anchor.parentNode.insertBefore(fieldset, anchor);
+        this.modeSwitcherEl = fieldset;
+        this.syncModeSwitcher();
+    }
+
+    // Check the current mode and hide modes that are closed (the whole toggle when fewer than two are open)
+    syncModeSwitcher() {
+        const fieldset = this.modeSwitcherEl;
+        if (!fieldset) return;
+        let open = 0;
+        fieldset.querySelectorAll('input[type="radio"]').forEach(radio => {
+            const available = this.isModeAvailable(radio.value);
+            if (available) open++;
+            radio.checked = radio.value === this.currentMode;
+            radio.disabled = !available;
+            radio.closest('label').hidden = !available;
+        });
+        fieldset.hidden = open < 2;
+    }
+
+    // Hide the given fields and show the ones an earlier mode hid
+    hideElements(fieldNames) {
+        Object.entries(this.fields).forEach(([fieldName, field]) => {
+            const wrapper = field?.wrapper;
+            if (!wrapper) return;
+            if (fieldNames.includes(fieldName)) {
+                if (wrapper.hasAttribute('data-ftg-hidden')) return;
+                // Remember the inline display to put back
+                wrapper.setAttribute('data-ftg-hidden', wrapper.style.display || '');
+                wrapper.style.display = 'none';
+            } else if (wrapper.hasAttribute('data-ftg-hidden')) {
+                wrapper.style.display = wrapper.getAttribute('data-ftg-hidden');
+                wrapper.removeAttribute('data-ftg-hidden');
+            }
+        });
+    }
+
+    preventInteraction(fieldNames) {
+        // Fields locked for a previous mode become editable again
+        Object.entries(this.fields).forEach(([fieldName, field]) => {
+            if (!fieldNames.includes(fieldName)) allowEdit(field);
+        });
+        fieldNames.forEach(fieldName => {
+            const field = this.fields[fieldName];
+            if (!field) {
+                if (this.debug) console.warn(`Requested to prevent interaction on unknown field key: ${fieldName}`);
+                return;
+            }
+            logger('debug', 'preventInteraction', `Preventing interaction with field: ${fieldName}`);
+            preventEdit(field);
+        });
+    }
+
+    /**
+     * Wire Bootstrap 5 Autocomplete to the Official Establishment Name input.
+     */
+    addEstablishmentNameListener() {
+        if (this.autocompleteInstance) return; // avoid duplicate init
+        const officialEstablishmentNameField = this.fields['officialEstablishmentName']?.input;
+        if (!officialEstablishmentNameField) {
+            console.warn('Establishment name field not found for autocomplete');
+            return;
+        }
+        if (typeof window.Autocomplete === 'undefined') {
+            console.warn('Autocomplete class not available yet. Make sure the module wrapper is loaded.');
+            return;
+        }
+        if (this.debug) console.log('Setting up Bootstrap 5 autocomplete for establishment name field');
+        try {
+            const parentForSpinner = officialEstablishmentNameField.parentNode;
+            this.autocompleteInstance = new window.Autocomplete(officialEstablishmentNameField, {
+                source: this.debounced((query, callback) => {
+                    if (this.debug) console.log('Autocomplete source called with query:', query);
+                    if (!parentForSpinner) { if (callback) callback([]); return []; }
+                    // Clear any previous no-results message when typing
+                    removeNoResultsMessage(parentForSpinner);
+                    removeInlineErrorMessage(parentForSpinner);
+                    showInlineSpinner(parentForSpinner, { inField: true });
+                    if (query.length < 2) {
+                        if (this.debug) console.log('Query too short, returning empty results');
+                        removeInlineSpinner(parentForSpinner);
+                        removeNoResultsMessage(parentForSpinner);
+                        removeInlineErrorMessage(parentForSpinner);
+                        if (callback) callback([]);
+                        return [];
+                    }
+                    // Cancel any in-flight search
+                    if (this.nameSearchController) try { this.nameSearchController.abort(); } catch(e) { /* noop */ }
+                    this.pendingRetry = null;
+                    this.nameSearchController = new AbortController();
+                    const signal = this.nameSearchController.signal;
+                    this.emit('lookupstart', { lookup: 'name', query });
+                    this.announce(this.t('name.searching'));
+                    // Refreshed results for stale cached ones: re-render if the query is still current
+                    const onRevalidate = (results) => {
+                        if (signal.aborted || officialEstablishmentNameField.value.trim() !== query.trim()) return;
+                        if (this.debug) console.log('Autocomplete results revalidated:', results);
+                        if (results.length) {
+                            removeNoResultsMessage(parentForSpinner);
+                            this.emit('lookupsuccess', { lookup: 'name', query, records: results.map(r => r.data), revalidated: true });
+                        } else {
+                            showNoResultsMessage(parentForSpinner, query, 'name');
+                        }
+                        this.announce(this.t('name.count', { count: results.length }));
+                        if (callback) callback(results);
+                    };
+                    return this.searchAirtableForAutocomplete(query, signal, { onRevalidate })
+                        .then(results => {
+                            if (this.debug) console.log('Autocomplete results:', results);
+                            removeInlineSpinner(parentForSpinner);
+                            removeInlineErrorMessage(parentForSpinner);
+                            if (!Array.isArray(results) || results.length === 0) {
+                                showNoResultsMessage(parentForSpinner, query, 'name');
+                                this.emit('lookupnoresults', { lookup: 'name', query });
+                            } else {
+                                this.emit('lookupsuccess', { lookup: 'name', query, records: results.map(r => r.data) });
+                                removeNoResultsMessage(parentForSpinner);
+                            }
+                            this.announce(this.t('name.count', { count: Array.isArray(results) ? results.length : 0 }));
+                            if (callback) callback(results);
+                            return results;
+                        })
+                        .catch(error => {
+                            // Ignore abort errors (superseded request)
+                            if (isAbortError(error)) {
+                                removeInlineSpinner(parentForSpinner);
+                                return [];
+                            }
+                            console.error('Error in autocomplete source:', error);
+                            removeInlineSpinner(parentForSpinner);
+                            removeNoResultsMessage(parentForSpinner);
+                            const offline = typeof navigator !== 'undefined' && navigator && navigator.onLine === false;
+                            const retry = () => {
+                                this.pendingRetry = null;
+                                if (this.autocompleteInstance && officialEstablishmentNameField.value.trim() === query.trim()) this.autocompleteInstance.showOrSearch();
+                            };
+                            this.pendingRetry = retry;
+                            showInlineErrorMessage(parentForSpinner, lookupErrorMessage(error), { onRetry: retry });
+                            this.emit('lookuperror', { lookup: 'name', query, error, offline });
+                            if (callback) callback([]);
+                            return [];
+                        });
+                }, 250),
+                onSelectItem: (item) => {
+                    if (this.debug) console.log('Selected establishment:', item);
+                    if (item.data) {
+                        removeNoResultsMessage(parentForSpinner);
+                        removeInlineErrorMessage(parentForSpinner);
+                        this.selectRecord(item.data, 'name');
+                    } else {
+                        console.warn('No data found for selected item');
+                    }
+                },
+                // Rows come from SUGGESTIONS (renderSuggestion highlights the query itself)
+                onRenderItem: (item) => this.renderSuggestion(item, officialEstablishmentNameField.value),
+                minLength: 2,
+                maximumItems: 10,
+                highlightTyped: false,
+                // Rows also matched on other columns, aliases and folded spellings (searchText)
+                searchFields: ['label', 'search'],
+                showValue: false,
+                showAllSuggestions: false
+            });
+            if (this.debug) console.log('Bootstrap 5 Autocomplete instance created successfully');
+            // Runs with the field's other bindings (input replaced) or on destroy()
+            this.cleanups.push(() => {
+                try { this.autocompleteInstance?.dispose(); } catch (e) { if (this.debug) console.error('Failed disposing autocomplete:', e); }
+                this.autocompleteInstance = null;
+            });
+            this.applyComboboxSemantics(officialEstablishmentNameField);
+            // Invalidate previously populated fields if user edits/clears without a valid selection
+            this.listen(officialEstablishmentNameField, 'input', this.debounced(() => {
+                const current = (officialEstablishmentNameField.value || '').trim();
+                if (this.lastSelectedEstablishment.name && current !== this.lastSelectedEstablishment.name) {
+                    // Reset all but the primary text inputs (keep what user typed)
+                    this.resetDependentFields(['officialEstablishmentName', 'redemptionCode']);
+                }
+                if (!current) {
+                    this.resetDependentFields(['officialEstablishmentName', 'redemptionCode']);
+                }
+            }, 250));
+            this.listen(officialEstablishmentNameField, 'blur', () => {
+                const current = (officialEstablishmentNameField.value || '').trim();
+                if (!current || (this.lastSelectedEstablishment.name && current !== this.lastSelectedEstablishment.name)) {
+                    this.resetDependentFields(['officialEstablishmentName', 'redemptionCode']);
+                }
+            });
+        } catch (error) {
+            console.error('Error creating autocomplete instance:', error);
+        }
+    }
+
+    /**
+     * The library renders a menu of menuitems; the ARIA combobox pattern expects a listbox of
+     * options with aria-selected on the active one. Patch its markup whenever it re-renders.
+     */
+    applyComboboxSemantics(input) {
+        const menu = (typeof this.autocompleteInstance?.getDropMenu === 'function' && this.autocompleteInstance.getDropMenu())
+            || document.getElementById(input.getAttribute('aria-controls') || '');
+        if (!menu || typeof MutationObserver === 'undefined') return;
+        const setAttr = (el, name, value) => { if (el.getAttribute(name) !== value) el.setAttribute(name, value); };
+        const patch = () => {
+            setAttr(input, 'role', 'combobox');
+            setAttr(input, 'aria-haspopup', 'listbox');
+            setAttr(input, 'aria-autocomplete', 'list');
+            setAttr(menu, 'role', 'listbox');
+            setAttr(menu, 'aria-label', this.t('name.listLabel'));
+            const activeId = input.getAttribute('aria-activedescendant');
+            menu.querySelectorAll('[role="menuitem"], [role="option"]').forEach(item => {
+                setAttr(item, 'role', 'option');
+                setAttr(item, 'aria-selected', String(!!activeId && item.id === activeId));
+            });
+            // The active item is gone once the menu re-renders or closes
+            if (activeId && !menu.querySelector(`[id="${activeId}"]`)) input.removeAttribute('aria-activedescendant');
+        };
+        const observer = new MutationObserver(patch);
+        observer.observe(menu, { childList: true, subtree: true, attributes: true, attributeFilter: ['role'] });
+        observer.observe(input, { attributes: true, attributeFilter: ['aria-activedescendant', 'aria-haspopup'] });
+        this.cleanups.push(() => observer.disconnect());
+        patch();
+    }
+
+    /**
+     * Listen for Partner Early-Access Code input. The value is normalized as the user types
+     * (see CODE_FORMAT); once it passes local validation it is looked up and populated.
+     */
+    addRedemptionCodeListener() {
+        const redemptionCodeField = this.fields['redemptionCode']?.input;
+        if (!redemptionCodeField) return;
+        const format = this.config.CODE_FORMAT;
+        // Reformat immediately (uppercase, separators, grouping) while keeping the caret in place
+        const reformat = () => {
+            const current = redemptionCodeField.value;
+            const display = formatCodeForDisplay(normalizeCode(current, format), format);
+            if (display === current) return;
+            const caret = typeof redemptionCodeField.selectionStart === 'number' ? redemptionCodeField.selectionStart : current.length;
+            const charsBeforeCaret = normalizeCode(current.slice(0, caret), format).length;
+            redemptionCodeField.value = display;
+            let position = 0;
+            for (let seen = 0; position < display.length && seen < charsBeforeCaret; position++) {
+                if (display[position] !== format.groupSeparator) seen++;
+            }
+            try { redemptionCodeField.setSelectionRange(position, position); } catch (e) { /* input type without selection API */ }
+        };
+        const handleInput = async () => {
+            const code = this.getRedemptionCode();
+            // Reset all other fields except the code itself
+            this.resetFields(['redemptionCode']);
+            // Clear any previous no-results message
+            removeNoResultsMessage(redemptionCodeField.parentNode);
+            removeInlineErrorMessage(redemptionCodeField.parentNode);
+            const existingHelpText = redemptionCodeField.parentNode.querySelector('.help-text');
+            if (existingHelpText) {
+                existingHelpText.remove();
+            }
+            // Cancel any in-flight code lookup when input changes
+            if (this.codeLookupController) try { this.codeLookupController.abort(); } catch(e) { /* noop */ }
+            this.pendingRetry = null;
+            const validation = validateCode(code, format);
+            if (!validation.valid) {
+                const helpText = document.createElement('div');
+                // help-text is the legacy class; ftg-help-text carries the theme styling
+                helpText.className = 'help-text ftg-help-text';
+                ensureLoaderStyles();
+                renderMessage(helpText, codeValidationMessage(validation, format), this.locale);
+                redemptionCodeField.parentNode.appendChild(helpText);
+                // Invalidate prior populated values if any
+                this.resetDependentFields(['redemptionCode', 'officialEstablishmentName']);
+            }
+            if (validation.valid) {
+                if (this.debug) console.log('Partner Early-Access Code entered:', code);
+                const parentForSpinner = redemptionCodeField.parentNode;
+                showInlineSpinner(parentForSpinner, { inField: true });
+                try {
+                    this.codeLookupController = new AbortController();
+                    this.emit('lookupstart', { lookup: 'code', query: code });
+                    this.announce(this.t('code.searching'));
+                    // Note: Airtable column is still named 'Redemption Code' (schema column) while the UI label is Partner Early-Access Code
+                    const data = await this.queryAirtableContains(this.codeColumn, code, this.codeLookupController.signal);
+                    if (data.records.length > 0) {
+                        removeNoResultsMessage(redemptionCodeField.parentNode);
+                        removeInlineErrorMessage(redemptionCodeField.parentNode);
+                        this.emit('lookupsuccess', { lookup: 'code', query: code, records: data.records });
+                        this.selectRecord(data.records[0], 'code');
+                        if (this.lastSelectedEstablishment.id) this.announce(this.t('code.found', { name: this.lastSelectedEstablishment.name || '' }));
+                        if (this.debug) console.log('Partner Early-Access Code found and form populated');
+                    } else {
+                        showNoResultsMessage(redemptionCodeField.parentNode, code, 'code');
+                        console.warn('No matching record found for Partner Early-Access Code:', code);
+                        // Keep typed code, clear dependent selects + custom name
+                        this.resetDependentFields(['redemptionCode', 'officialEstablishmentName']);
+                        this.emit('lookupnoresults', { lookup: 'code', query: code });
+                        this.announce(this.t('code.none'));
+                    }
+                } catch (error) {
+                    // Ignore abort errors quietly
+                    if (!isAbortError(error)) {
+                        console.error('Error looking up Partner Early-Access Code:', error);
+                        removeNoResultsMessage(redemptionCodeField.parentNode);
+                        const offline = typeof navigator !== 'undefined' && navigator && navigator.onLine === false;
+                        const retry = () => {
+                            this.pendingRetry = null;
+                            if (this.getRedemptionCode() === code) handleInput();
+                        };
+                        this.pendingRetry = retry;
+                        showInlineErrorMessage(redemptionCodeField.parentNode, lookupErrorMessage(error), { onRetry: retry });
+                        // On error, also clear dependent values
+                        this.resetDependentFields(['redemptionCode', 'officialEstablishmentName']);
+                        this.emit('lookuperror', { lookup: 'code', query: code, error, offline });
+                    }
+                } finally {
+                    removeInlineSpinner(parentForSpinner);
+                }
+            }
+        };
+        this.listen(redemptionCodeField, 'input', reformat);
+        this.listen(redemptionCodeField, 'input', this.debounced(handleInput, 300));
+        this.listen(redemptionCodeField, 'paste', () => {
+            const timer = setTimeout(() => {
+                redemptionCodeField.dispatchEvent(new Event('input', { bubbles: true }));
+            }, 100);
+            this.cleanups.push(() => clearTimeout(timer));
+        });
+    }
+
+    // Re-run the last failed lookup (browser back online); its inline error is replaced by the new attempt
+    retryPendingLookup() {
+        const retry = this.pendingRetry;
+        if (!retry || this.destroyed) return;
+        if (this.debug) console.log('Connection restored, retrying the last lookup');
+        retry();
+    }
+
+    // Normalized Partner Early-Access Code currently entered (separators and grouping removed)
+    getRedemptionCode() {
+        return normalizeCode(this.fields.redemptionCode?.input?.value || '', this.config.CODE_FORMAT);
+    }
+
+    // Query through this form's data source and cache namespace
+    queryAirtableContains(field, query, signal, { fresh = false, refine = false, onRevalidate = null, fields, aliases } = {}) {
+        return queryAirtableContains(field, query, {
+            signal,
+            lookup: this.lookupTypeFor(field),
+            dataSource: this.dataSource,
+            namespace: this.cacheNamespace,
+            maxRecords: this.config.MAX_RECORDS,
+            ttl: cacheTtlFor(field, this.config.CACHE_TTL),
+            fresh,
+            refine,
+            onRevalidate,
+            fields,
+            aliases
+        });
+    }
+
+    // Query type for metrics
+    lookupTypeFor(field) {
+        if (field === this.codeColumn) return 'code';
+        if (field === this.nameColumn) return 'name';
+        return field && field === this.config.RECORD_ID_FIELD ? 'record' : field;
+    }
+
+    /**
+     * Data adapter for Autocomplete: returns ranked [{label, value, data, search}] from Airtable.
+     * `onRevalidate(items)` receives refreshed items when stale cached results were returned.
+     */
+    async searchAirtableForAutocomplete(query, signal, { onRevalidate = null } = {}) {
+        const toItems = (records) => this.toAutocompleteItems(this.rankSearchResults(records, query));
+        const search = this.config.SEARCH;
+        // The plain contract (name column, query only) unless SEARCH.fields or SEARCH.aliases opt in
+        const extended = (search.fields || []).length > 0 || (search.aliases || []).length > 0;
+        const data = await this.queryAirtableContains(this.nameColumn, query, signal, {
+            refine: this.config.LOOKUP_REFINE !== false,
+            onRevalidate: onRevalidate ? (fresh) => onRevalidate(toItems(fresh.records)) : null,
+            fields: this.searchFields(),
+            aliases: extended ? queryVariants(query, search.aliases) : []
+        });
+        return toItems(data.records);
+    }
+
+    // Columns searched by name search: the name column first, then SEARCH.fields
+    searchFields() {
+        return [this.nameColumn, ...(this.config.SEARCH.fields || [])].filter((column, i, all) => column && all.indexOf(column) === i);
+    }
+
+    // Best-first order per SEARCH ranking; records that score 0 (matched by the data source in a
+    // way the ranking can't see) keep their order after the others
+    rankSearchResults(records, query) {
+        if (!Array.isArray(records) || records.length < 2) return records || [];
+        const search = this.config.SEARCH;
+        const fields = this.searchFields();
+        const variants = queryVariants(query, search.aliases);
+        const score = typeof search.ranking === 'function'
+            ? (record) => Number(search.ranking(record, { query, variants, fields })) || 0
+            : (record) => scoreSearchRecord(record, query, variants, fields, {
+                ranking: { ...DEFAULT_CONFIG.SEARCH.ranking, ...(search.ranking || {}) },
+                weights: { [this.nameColumn]: 1, ...(search.weights || {}) }
+            });
+        try {
+            return records
+                .map((record, index) => ({ record, index, score: score(record) }))
+                .sort((a, b) => b.score - a.score || a.index - b.index)
+                .map(({ record }) => record);
+        } catch (e) {
+            logger('error', 'rankSearchResults', 'SEARCH.ranking failed; keeping the data source order', { error: e?.message });
+            return records;
+        }
+    }
+
+    // Text the autocomplete filters on as the shopper keeps typing: the searched columns as they
+    // are and folded, plus each folded value with alias terms swapped ("mo bangkok")
+    searchText(record) {
+        const values = this.searchFields().flatMap(column => recordValueList(record?.fields?.[column], this.config.VALUE_COERCION));
+        const folded = values.map(foldMatchText);
+        const aliased = folded.flatMap(text => queryVariants(text, this.config.SEARCH.aliases).filter(variant => variant !== text));
+        return [...values, ...folded, ...aliased].join(' | ');
+    }
+
+    toAutocompleteItems(records) {
+        const nameColumn = this.nameColumn;
+        if (!records) return [];
+        // Lookup columns hold the name as a one-entry array
+        const items = records
+            .map(r => ({ name: coerceRecordValue(r.fields[nameColumn], this.config.VALUE_COERCION), data: r }))
+            .filter(({ name }) => name)
+            .map(({ name, data }) => ({ label: name, value: name, data, search: this.searchText(data) }));
+        if (!this.config.SUGGESTIONS.groupBy) return items;
+        // The library prints a header whenever the group changes, so keep each group's rows together
+        // (in order of first appearance; records without a value last, under their own header)
+        const other = escapeHtml(this.t('name.otherGroup'));
+        const order = [];
+        items.forEach(item => {
+            const group = this.suggestionParts(item.data).group;
+            item.group = group ? escapeHtml(group) : other;
+            if (group && !order.includes(item.group)) order.push(item.group);
+        });
+        const rank = (item) => item.group === other ? order.length : order.indexOf(item.group);
+        return items.sort((a, b) => rank(a) - rank(b));
+    }
+
+    // Text parts of a suggestion row: { name, badge, meta, group } (see SUGGESTIONS)
+    suggestionParts(record) {
+        const cfg = this.config.SUGGESTIONS;
+        const fields = record?.fields || {};
+        const text = (column) => column ? coerceRecordValue(fields[column], this.config.VALUE_COERCION) : '';
+        const meta = (cfg.meta || [])
+            .map(entry => [].concat(entry).map(text).filter(Boolean).join(', '))
+            .filter(Boolean)
+            .join(' · ');
+        return { name: text(this.nameColumn), badge: text(cfg.badge), meta, group: text(cfg.groupBy) };
+    }
+
+    // onRenderItem: HTML for one suggestion row per SUGGESTIONS.template
+    renderSuggestion(item, query) {
+        const cfg = this.config.SUGGESTIONS;
+        const parts = this.suggestionParts(item.data);
+        const highlight = cfg.highlight !== false;
+        ensureLoaderStyles();
+        if (typeof cfg.template === 'function') {
+            try {
+                return String(cfg.template(item.data, {
+                    ...parts,
+                    query,
+                    highlight: (text) => highlight ? highlightMatches(text, query) : escapeHtml(text),
+                    escape: escapeHtml
+                }) ?? '');
+            } catch (e) {
+                logger('error', 'renderSuggestion', 'SUGGESTIONS.template failed; using the built-in row', { error: e?.message });
+            }
+        }
+        if (cfg.template === 'plain') return highlight ? highlightMatches(parts.name || item.label, query) : escapeHtml(parts.name || item.label);
+        return buildSuggestionHtml({ ...parts, name: parts.name || item.label }, query, highlight);
+    }
+
+    /**
+     * Make `record` the current selection: populate fields, remember it for invalidation and
+     * submit gating, and emit `recordselected`. `lookup` is 'code' or 'name'.
+     */
+    selectRecord(record, lookup) {
+        const normalized = normalizeWithSource(this.dataSource, record);
+        const mismatches = this.handleRedemptionCodeSelection(normalized);
+        if (mismatches.length && this.resolveMismatches(mismatches, normalized) === false) return;
+        this.selectedRecord = normalized;
+        // Track last valid name so edits can invalidate the selection
+        this.lastSelectedEstablishment.id = normalized.id || null;
+        this.lastSelectedEstablishment.name = coerceRecordValue(normalized.fields[this.nameColumn], this.config.VALUE_COERCION) || this.fields.officialEstablishmentName?.input?.value || null;
+        this.updateFormSubmitState();
+        this.saveDraft();
+        this.emit('recordselected', { lookup, record: normalized });
+    }
+
+    /**
+     * Populate related fields from a selected Airtable record.
+     * Returns the fields whose value had no matching option ([{ field, label, value }]).
+     */
+    handleRedemptionCodeSelection(record) {
+        const recFields = normalizeWithSource(this.dataSource, record).fields;
+        return this.updateSelectElements(recFields);
+    }
+
+    /**
+     * Fill every schema field that has a column from the chosen establishment record fields.
+     * Values are coerced to lists of strings first (recordValueList). Inputs receive them joined;
+     * selects, radio/checkbox groups and swatches go through option matching.
+     * Mismatches are collected (one entry per field) and returned rather than handled here.
+     */
+    updateSelectElements(recFields) {
+        const functionName = 'updateSelectElements';
+        const mismatches = [];
+        // Field keys only: the record also holds the code and columns the form never shows
+        const populated = this.schema.fields
+            .filter(f => f.populate !== false && f.column && !isEmptyRecordValue(recFields[f.column]))
+            .map(f => f.key);
+        try {
+            logger('info', functionName, 'Updating Select Elements', { fields: populated });
+            this.schema.fields.forEach(schemaField => {
+                if (schemaField.populate === false || !schemaField.column) return;
+                const value = recFields[schemaField.column];
+                const field = this.fields[schemaField.key];
+                if (isEmptyRecordValue(value) || !field) return;
+                const coercion = this.coercionFor(schemaField);
+                const values = recordValueList(value, coercion);
+                if (!values.length) return;
+                const options = {
+                    aliases: getOptionAliases(this.config.OPTION_ALIASES, schemaField.key),
+                    coercion,
+                    onMismatch: (displayValue, { label, reason, candidates }) => mismatches.push({ field: schemaField.key, label, value: displayValue, reason, candidates })
+                };
+                if (schemaField.control === 'select') {
+                    if (field.select) setSelectValue(field.select, values, options);
+                } else if (field.choices) {
+                    setChoiceValue(field, values, options);
+                } else if (field.input) {
+                    field.input.value = values.join(coercion.join);
+                }
+            });
+        } catch (error) {
+            logger('error', functionName, 'Failed updating select elements', { error: error?.message, fields: populated });
+            throw error; // Re-throw for caller to handle
+        }
+        return mismatches;
+    }
+
+    // VALUE_COERCION with the schema field's own `coerce` overrides
+    coercionFor(schemaField) {
+        return { ...this.config.VALUE_COERCION, ...(schemaField?.coerce || {}) };
+    }
+
+    /**
+     * Apply MISMATCH_POLICY to the options a record needs but this product lacks.
+     * Returns false when the selection must be rejected ('block-and-clear').
+     */
+    resolveMismatches(mismatches, record) {
+        // De-duplicate across selects mapped to the same value
+        const unique = mismatches.filter((m, i) => mismatches.findIndex(o => o.field === m.field && o.value === m.value) === i);
+        unique.forEach(m => this.emit('mismatch', { field: m.field, value: m.value, reason: m.reason, candidates: m.candidates, record }));
+        const policy = this.config.MISMATCH_POLICY;
+        logger('info', 'resolveMismatches', `Product option mismatch (${policy})`, unique);
+        if (policy === 'silent-inline') return true;
+        const blocking = policy !== 'warn-and-keep';
+        const items = unique.map(m => ({ ...m, links: this.getMismatchProductLinks(m.field, m.value, record) }));
+        if (this.mismatchDialog) this.mismatchDialog.close({ silent: true });
+        this.mismatchDialog = showMismatchDialog(items, {
+            blocking,
+            locale: this.locale,
+            inertRoot: this.root,
+            // Blocked: the lookup field (the form is cleared); kept: the first mismatching field
+            returnFocus: () => this.getProblemFocusTarget(blocking ? [] : unique.map(m => m.field)),
+            onClose: () => {
+                this.mismatchDialog = null;
+                // Clear the form once the user dismisses the dialog
+                if (blocking) {
+                    try { this.clearAndResetForm(); } catch (e) { console.error('Failed to clear form after mismatch:', e); }
+                }
+            }
+        });
+        // Reject the selection (and forget any previous one) now; values clear when the dialog closes
+        if (blocking) this.resetDependentFields(Object.keys(this.fields));
+        return !blocking;
+    }
+
+    // Alternative products for a missing option, from MISMATCH_PRODUCT_LINKS
+    getMismatchProductLinks(fieldKey, value, record) {
+        const source = this.config.MISMATCH_PRODUCT_LINKS;
+        let links = null;
+        try {
+            links = typeof source === 'function' ? source(fieldKey, value, record) : source?.[fieldKey]?.[value];
+        } catch (e) {
+            logger('error', 'getMismatchProductLinks', 'MISMATCH_PRODUCT_LINKS failed', { error: e?.message });
+        }
+        return (Array.isArray(links) ? links : []).filter(link => link && link.url);
+    }
+
+    clearAndResetForm() {
+        this.resetFields();
+        this.clearInlineMessages();
+        this.preventInteraction(getModeConfig(this.schema, this.currentMode).prevent);
+        if (this.currentMode !== MODE_CODE && this.autocompleteInstance && this.getField('officialEstablishmentName')?.input) {
+            this.getField('officialEstablishmentName').input.value = '';
+        }
+    }
+
+    // Clear inline UI messages (errors, no-results, spinners, code help text, mismatch hints) from the form
+    clearInlineMessages() {
+        try {
+            // Clear at the per-field wrapper level, and beside the control when it is nested deeper
+            Object.values(this.fields || {}).forEach(fieldObj => {
+                try {
+                    const containers = new Set([fieldObj?.wrapper, fieldObj?.input?.parentNode, fieldObj?.select?.parentNode].filter(Boolean));
+                    containers.forEach(container => {
+                        removeInlineErrorMessage(container);
+                        removeNoResultsMessage(container);
+                        removeInlineSpinner(container);
+                    });
+                    if (fieldObj?.wrapper) {
+                        fieldObj.wrapper.querySelectorAll('.mismatch-text, .help-text').forEach(hint => hint.remove());
+                    }
+                } catch (e) { /* noop per-field */ }
+            });
+            // Also clear any inline messages attached to the form itself
+            if (this.formEl) {
+                removeInlineErrorMessage(this.formEl);
+                removeNoResultsMessage(this.formEl);
+                removeInlineSpinner(this.formEl);
+            }
+        } catch (e) {
+            if (this.debug) console.error('Error clearing inline messages:', e);
+        }
+    }
+
+    // Enable/disable submit buttons based on whether a valid selection exists
+    updateFormSubmitState() {
+        if (!this.formEl) return;
+        const enabled = !!(this.lastSelectedEstablishment && this.lastSelectedEstablishment.id);
+        const submits = this.formEl.querySelectorAll('button[type="submit"], input[type="submit"]');
+        submits.forEach(btn => {
+            btn.disabled = !enabled;
+            btn.setAttribute('aria-disabled', String(!enabled));
+        });
+    }
+
+    /**
+     * Submit pipeline: validate -> serialize -> beforesubmit hooks -> deliver (SUBMIT.mode).
+     * The native submit event is always held back while the pipeline runs; in 'native' mode the
+     * form is then re-submitted (with the original submitter) once everything passed.
+     */
+    handleFormSubmission(form) {
+        this.listen(form, 'submit', (event) => {
+            if (this.nativeSubmitApproved) {
+                // Our own approved re-submit: let the browser (and other listeners) proceed
+                this.nativeSubmitApproved = false;
+                return;
+            }
+            event.preventDefault();
+            if (this.submitting) return; // prevent double submits
+            this.runSubmitPipeline(form, event.submitter || null).catch(error => {
+                console.error('Error during form submission:', error);
+            });
+        });
+    }
+
+    async runSubmitPipeline(form, submitter) {
+        const submitCfg = this.config.SUBMIT;
+        const statusContainer = (submitter || form.querySelector('button[type="submit"], input[type="submit"]'))?.parentNode || form;
+        removeInlineErrorMessage(statusContainer);
+        this.clearSubmitErrors();
+        // 1. Validate required fields for the current mode
+        const errors = this.validateForSubmit();
+        if (errors.length) {
+            this.showSubmitErrors(errors);
+            this.emit('submiterror', { stage: 'validate', errors });
+            return;
+        }
+        this.setSubmitting(true, statusContainer);
+        try {
+            // 2. Re-fetch the selected record and compare it with the locked fields
+            const integrity = await this.verifyIntegrity();
+            if (!integrity.verified && this.config.INTEGRITY_POLICY === 'block') {
+                this.handleIntegrityFailure(integrity, statusContainer);
+                this.emit('submiterror', { stage: 'verify', reason: integrity.reason, divergences: integrity.divergences, error: integrity.error });
+                return;
+            }
+            // 3. Serialize the field map plus the selected record id and snapshot
+            const payload = this.serializeForSubmit(integrity);
+            // 4. Hooks: listeners may enrich detail.payload, veto with preventDefault(),
+            //    or pass async work to detail.waitUntil(promise) (a rejection vetoes)
+            const pending = [];
+            const allowed = this.emit('beforesubmit', { payload, values: payload.values, waitUntil: (promise) => pending.push(Promise.resolve(promise)) });
+            let vetoError = null;
+            try {
+                await Promise.all(pending);
+            } catch (error) {
+                vetoError = error;
+            }
+            if (!allowed || vetoError) {
+                if (this.debug) console.log('Submission vetoed by a beforesubmit listener', vetoError || '');
+                this.emit('submiterror', { stage: 'beforesubmit', payload, error: vetoError });
+                return;
+            }
+            // 5. Deliver
+            if (submitCfg.mode === 'post') {
+                const result = await this.postSubmission(payload);
+                this.clearDraft();
+                this.emit('submitsuccess', { payload, result });
+                if (submitCfg.successUrl) window.location.assign(submitCfg.successUrl);
+                else showInlineStatusMessage(statusContainer, { key: 'submit.success' });
+            } else if (submitCfg.mode === 'native') {
+                syncLockedMirrors(form);
+                this.writeHiddenFields(form, payload.hiddenFields);
+                this.clearDraft();
+                this.emit('submitsuccess', { payload });
+                // Re-enable the submitter so its name/value is part of the native submission
+                this.setSubmitting(false, statusContainer);
+                if (typeof form.requestSubmit === 'function') {
+                    // The submit event fires synchronously inside requestSubmit(); if constraint
+                    // validation blocks it, no event fires, so the approval must not outlive the call
+                    this.nativeSubmitApproved = true;
+                    try {
+                        form.requestSubmit(submitter && submitter.form === form ? submitter : undefined);
+                    } finally {
+                        this.nativeSubmitApproved = false;
+                    }
+                } else {
+                    HTMLFormElement.prototype.submit.call(form);
+                }
+            } else {
+                if (this.debug) console.log('Form submission data:', payload);
+                this.emit('submitsuccess', { payload });
+            }
+        } catch (error) {
+            console.error('Error during form submission:', error);
+            showInlineErrorMessage(statusContainer, error?.message && error.ftgUserMessage ? error.message : { key: 'submit.failed' });
+            this.emit('submiterror', { stage: 'deliver', error });
+        } finally {
+            this.setSubmitting(false, statusContainer);
+        }
+    }
+
+    // Required-field check for the current mode: [{ field, message }]
+    validateForSubmit() {
+        const errors = [];
+        const values = this.getValues();
+        this.schema.fields.forEach(schemaField => {
+            if (!appliesToMode(schemaField.requiredIn, this.currentMode)) return;
+            const field = this.fields[schemaField.key];
+            if (!field || field.wrapper?.style.display === 'none') return;
+            if (!String(values[schemaField.key] ?? '').trim()) {
+                const label = (field.label?.textContent || schemaField.labels?.[0] || schemaField.key).replace(/\(required\)/i, '').replace(/:$/, '').trim();
+                errors.push(this.submitError(schemaField.key, 'validate.required', { label }));
+            }
+        });
+        if (!this.lastSelectedEstablishment.id) {
+            const lookupField = this.currentMode === MODE_CODE ? 'redemptionCode' : 'officialEstablishmentName';
+            if (!errors.some(e => e.field === lookupField)) {
+                errors.unshift(this.submitError(lookupField, this.currentMode === MODE_CODE ? 'validate.code' : 'validate.name'));
+            }
+        }
+        return errors;
+    }
+
+    // { field, message } for submiterror listeners, plus the catalog key/values to render it
+    submitError(field, key, values = null) {
+        return { field, message: this.t(key, values), key, values };
+    }
+
+    // Inline error under each failing field (linked via aria-describedby); focus the first one
+    showSubmitErrors(errors) {
+        errors.forEach(({ field, message, key, values }) => {
+            const fieldObj = this.fields[field];
+            const wrapper = fieldObj?.wrapper;
+            if (!wrapper) return;
+            const messageElement = showInlineErrorMessage(wrapper, key ? { key, values } : message);
+            const control = fieldControl(fieldObj);
+            if (control && messageElement) {
+                messageElement.id = `ftg-error-${++errorMessageCount}`;
+                control.setAttribute('aria-invalid', 'true');
+                const describedBy = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && !id.startsWith('ftg-error-'));
+                control.setAttribute('aria-describedby', [...describedBy, messageElement.id].join(' '));
+            }
+        });
+        this.focusFirstProblem(errors.map(e => e.field));
+    }
+
+    // Remove submit errors and their aria-invalid/aria-describedby links
+    clearSubmitErrors() {
+        Object.values(this.fields).forEach(fieldObj => {
+            const control = fieldControl(fieldObj);
+            if (!control || control.getAttribute('aria-invalid') !== 'true') return;
+            removeInlineErrorMessage(fieldObj.wrapper);
+            control.removeAttribute('aria-invalid');
+            const describedBy = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && !id.startsWith('ftg-error-'));
+            if (describedBy.length) control.setAttribute('aria-describedby', describedBy.join(' '));
+            else control.removeAttribute('aria-describedby');
+        });
+    }
+
+    /**
+     * First focusable control among `fieldKeys` (visible, not locked); falls back to the lookup
+     * field of the current mode, where the user can fix the selection.
+     */
+    getProblemFocusTarget(fieldKeys = []) {
+        const focusable = (fieldObj) => {
+            const control = fieldControl(fieldObj);
+            if (!control || control.disabled || control.readOnly || control.hasAttribute('data-ftg-locked')) return null;
+            if (fieldObj.wrapper && fieldObj.wrapper.style.display === 'none') return null;
+            return control;
+        };
+        for (const key of fieldKeys) {
+            const control = focusable(this.fields[key]);
+            if (control) return control;
+        }
+        return focusable(this.fields[this.currentMode === MODE_CODE ? 'redemptionCode' : 'officialEstablishmentName']);
+    }
+
+    focusFirstProblem(fieldKeys) {
+        const target = this.getProblemFocusTarget(fieldKeys);
+        if (target && typeof target.focus === 'function') target.focus();
+        return target;
+    }
+
+    serializeForSubmit(integrity = null) {
+        const submitCfg = this.config.SUBMIT;
+        const recordId = this.lastSelectedEstablishment.id || null;
+        const payload = {
+            mode: this.currentMode,
+            recordId,
+            code: this.currentMode === MODE_CODE ? this.getRedemptionCode() : null,
+            values: this.getValues(),
+            hiddenFields: { [submitCfg.recordIdField]: recordId },
+            submittedAt: new Date().toISOString()
+        };
+        if (integrity?.snapshot) {
+            payload.integrity = { verified: integrity.verified, reason: integrity.reason, divergences: integrity.divergences };
+            if (submitCfg.snapshotField) payload.hiddenFields[submitCfg.snapshotField] = integrity.snapshot;
+        }
+        return payload;
+    }
+
+    /**
+     * Fetch the selected record again (bypassing the cache) and compare its mapped values with the
+     * DOM. Fields are checked when populated and locked in the current mode (schema `verify`
+     * overrides). Resolves to { verified, reason, record, snapshot, divergences: [{ field, expected, actual }], error },
+     * `reason` being null, 'record-not-found' (the id lookup returned nothing), 'fetch-failed' or 'diverged'.
+     * Skipped (as with INTEGRITY_POLICY 'off') when records cannot be fetched by id.
+     */
+    async verifyIntegrity() {
+        const recordId = this.lastSelectedEstablishment.id;
+        if (this.config.INTEGRITY_POLICY === 'off' || !recordId || !this.canFetchRecordById()) return { verified: true, reason: null, record: null, snapshot: null, divergences: [] };
+        if (this.verifyController) try { this.verifyController.abort(); } catch (e) { /* noop */ }
+        this.verifyController = new AbortController();
+        let record;
+        try {
+            record = await this.fetchRecordById(recordId, this.verifyController.signal, { fresh: true });
+        } catch (error) {
+            if (isAbortError(error) && this.destroyed) throw error;
+            logger('error', 'verifyIntegrity', 'Record re-fetch failed', { recordId, error: error?.message });
+            return { verified: false, reason: 'fetch-failed', record: null, snapshot: { recordId, fields: null, fetchedAt: null, verified: false }, divergences: [], error };
+        }
+        if (!record) {
+            logger('warn', 'verifyIntegrity', 'Record id lookup returned no record', { recordId, field: this.config.RECORD_ID_FIELD });
+            return { verified: false, reason: 'record-not-found', record: null, snapshot: { recordId, fields: null, fetchedAt: new Date().toISOString(), verified: false }, divergences: [], error: null };
+        }
+        const recFields = record.fields || {};
+        const fields = {};
+        const divergences = [];
+        this.schema.fields.forEach(schemaField => {
+            if (schemaField.populate === false || !schemaField.column) return;
+            const value = recFields[schemaField.column];
+            if (value !== undefined) fields[schemaField.column] = value;
+            const verify = schemaField.verify ?? appliesToMode(schemaField.lockIn, this.currentMode);
+            const field = this.fields[schemaField.key];
+            // Empty record values are never populated, so there is nothing to compare
+            if (!verify || !field || isEmptyRecordValue(value)) return;
+            const coercion = this.coercionFor(schemaField);
+            const values = recordValueList(value, coercion);
+            if (!values.length) return;
+            const aliases = getOptionAliases(this.config.OPTION_ALIASES, schemaField.key);
+            let expected;
+            let actual;
+            if (schemaField.control === 'select' || field.choices) {
+                const resolved = schemaField.control === 'select'
+                    ? (field.select ? resolveSelectOptions(field.select, values, aliases) : null)
+                    : resolveChoiceOptions(field, values, aliases, coercion);
+                // No matching option: already reported as a mismatch; the snapshot carries the record value
+                if (!resolved || (!resolved.selected.length && !resolved.clear)) return;
+                expected = resolved.selected.map(o => o.value).sort().join(', ');
+                actual = [].concat(this.getValues()[schemaField.key] ?? []).filter(Boolean).sort().join(', ');
+            } else {
+                if (!field.input) return;
+                expected = values.join(coercion.join).trim();
+                actual = String(field.input.value || '').trim();
+            }
+            if (expected !== actual) divergences.push({ field: schemaField.key, expected, actual });
+        });
+        const verified = divergences.length === 0;
+        if (!verified) logger('warn', 'verifyIntegrity', 'Form values diverge from the record', { recordId, divergences });
+        this.selectedRecord = record;
+        return { verified, reason: verified ? null : 'diverged', record, snapshot: { recordId, fields, fetchedAt: new Date().toISOString(), verified }, divergences, error: null };
+    }
+
+    // 'block' policy: restore the record's values into diverging fields and explain why submit stopped
+    handleIntegrityFailure({ record, reason, divergences }, statusContainer) {
+        if (!record) {
+            showInlineErrorMessage(statusContainer, { key: reason === 'record-not-found' ? 'integrity.notFound' : 'integrity.failed' });
+            return;
+        }
+        try {
+            this.updateSelectElements(record.fields || {});
+        } catch (e) {
+            logger('error', 'handleIntegrityFailure', 'Failed restoring record values', { error: e?.message });
+        }
+        this.showSubmitErrors(divergences.map(({ field }) => this.submitError(field, 'integrity.fieldRestored')));
+        showInlineErrorMessage(statusContainer, { key: 'integrity.restored' });
+    }
+
+    async postSubmission(payload) {
+        const submitCfg = this.config.SUBMIT;
+        if (!submitCfg.endpoint) throw new Error('SUBMIT.endpoint is not configured');
+        const response = await fetch(submitCfg.endpoint, {
+            method: 'POST',
+            credentials: submitCfg.credentials,
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(submitCfg.headers || {}) },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = new Error(result?.message || `HTTP ${response.status}: ${response.statusText}`);
+            // Server-provided messages are safe to show inline
+            error.ftgUserMessage = !!result?.message;
+            throw error;
+        }
+        return result;
+    }
+
+    // Write payload.hiddenFields into the form as hidden inputs (reused across submits)
+    writeHiddenFields(form, hiddenFields = {}) {
+        Object.entries(hiddenFields).forEach(([name, value]) => {
+            if (!name) return;
+            let input = Array.from(form.querySelectorAll('input[type="hidden"][data-ftg-submit-field]')).find(el => el.name === name);
+            if (!input) {
+                input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.setAttribute('data-ftg-submit-field', '');
+                form.appendChild(input);
+            }
+            input.value = value == null ? '' : (typeof value === 'string' ? value : JSON.stringify(value));
+        });
+    }
+
+    // Disable submit buttons and show progress while the pipeline runs
+    setSubmitting(submitting, statusContainer) {
+        this.submitting = submitting;
+        if (submitting) {
+            showInlineSpinner(statusContainer);
+            this.formEl?.querySelectorAll('button[type="submit"], input[type="submit"]').forEach(btn => {
+                btn.disabled = true;
+                btn.setAttribute('aria-disabled', 'true');
+            });
+            this.formEl?.setAttribute('aria-busy', 'true');
+        } else {
+            removeInlineSpinner(statusContainer);
+            this.formEl?.removeAttribute('aria-busy');
+            this.updateFormSubmitState();
+        }
+    }
+
+    // Pick up re-rendered field markup by hand (AUTO_REBIND off); otherwise just re-apply the mode
+    reinitialize() {
+        if (!this.rebindFields()) this.setMode(this.currentMode);
+    }
+
+    reset() {
+        this.clearAndResetForm();
+    }
+}
+
+/**
+ * Data-source adapters. Every adapter implements:
+ *   query(field, query, { signal, maxRecords, fields, aliases, lookup }) -> Promise<{ records: [{ id, fields }] }>
+ *   (name search passes `fields`, every column to search with `field` first, and `aliases`,
+ *   alternate spellings of `query`; a record matches when any of them contains any spelling.
+ *   `lookup` is 'code', 'name', 'record' or the field)
+ * and may implement:
+ *   getRecord(id, { signal }) -> Promise<record | null>
+ *   normalizeRecord(raw) -> { id, fields }
+ *   cacheable (boolean, default true) - whether results go through the lookup cache
+ * Pick one with FTG_CONFIG.DATA_SOURCE, or pass your own object implementing query().
+ */
+function normalizeRecord(raw) {
+    if (!raw || typeof raw !== 'object') return { id: null, fields: {} };
+    return { ...raw, id: raw.id ?? null, fields: raw.fields && typeof raw.fields === 'object' ? raw.fields : {} };
+}
+
+async function readJsonResponse(response) {
+    if (!response.ok) {
+        throw createFetchError(`HTTP ${response.status}: ${response.statusText}`, { kind: 'http', status: response.status });
+    }
+    return response.json();
+}
+
+/**
+ * Errors from the fetch layer carry `kind` ('timeout' | 'network' | 'http' | 'circuit-open'),
+ * `status` (HTTP errors), `retryable` and `retryAfter` (ms, when known).
+ */
+function createFetchError(message, { kind, status = null, retryable = false, retryAfter = null, cause = null } = {}) {
+    const error = new Error(message);
+    error.kind = kind;
+    error.status = status;
+    error.retryable = retryable;
+    error.retryAfter = retryAfter;
+    if (cause) error.cause = cause;
+    return error;
+}
+
+// Circuit breakers per proxy origin + path (and scope), shared by every form on the page
+const circuitBreakers = new Map();
+
+function getCircuitBreaker(url, scope = null) {
+    let key = url;
+    try {
+        const parsed = new URL(url, window.location.href);
+        key = parsed.origin + parsed.pathname;
+    } catch (e) { /* noop */ }
+    if (scope) key += `#${scope}`;
+    if (!circuitBreakers.has(key)) circuitBreakers.set(key, { failures: 0, openUntil: 0 });
+    return circuitBreakers.get(key);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter, capped at backoffMax (a server Retry-After wins)
+function backoffDelay(attempt, fetchCfg, retryAfter = null) {
+    if (retryAfter != null) return Math.min(retryAfter, fetchCfg.backoffMax);
+    const ceiling = Math.min(fetchCfg.backoffMax, fetchCfg.backoffBase * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function abortError() {
+    try { return new DOMException('The operation was aborted.', 'AbortError'); } catch (e) {
+        const error = new Error('The operation was aborted.');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+// setTimeout as a promise that rejects with an AbortError when `signal` aborts
+function waitFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) { reject(abortError()); return; }
+        const onAbort = () => { clearTimeout(timer); reject(abortError()); };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * fetch() with a per-attempt timeout, retries (exponential backoff + jitter) for network errors,
+ * timeouts, 429 and 5xx, and a circuit breaker per endpoint. Other responses (including 4xx) are
+ * returned as-is. Aborting `init.signal` cancels the attempt or the wait between attempts.
+ * `init.breakerScope` gives requests their own breaker on the same endpoint.
+ */
+async function resilientFetch(url, init = {}, fetchCfg = CFG.FETCH) {
+    const { signal, breakerScope = null, ...rest } = init;
+    const breaker = getCircuitBreaker(url, breakerScope);
+    for (let attempt = 0; ; attempt++) {
+        const now = Date.now();
+        if (breaker.openUntil > now) {
+            throw createFetchError('Lookup service temporarily unavailable', { kind: 'circuit-open', retryAfter: breaker.openUntil - now });
+        }
+        if (signal?.aborted) throw abortError();
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        let timedOut = false;
+        const timer = fetchCfg.timeout > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, fetchCfg.timeout) : null;
+        let response = null;
+        let error = null;
+        try {
+            response = await fetch(url, { ...rest, signal: controller.signal });
+        } catch (e) {
+            error = e;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+        if (signal?.aborted) throw abortError();
+        if (timedOut) {
+            error = createFetchError(`Request timed out after ${fetchCfg.timeout}ms`, { kind: 'timeout', retryable: true });
+        } else if (error) {
+            error = createFetchError(error.message || 'Network error', { kind: 'network', retryable: true, cause: error });
+        } else if (response.status === 429 || response.status >= 500) {
+            error = createFetchError(`HTTP ${response.status}: ${response.statusText}`, {
+                kind: 'http',
+                status: response.status,
+                retryable: true,
+                retryAfter: parseRetryAfter(response.headers?.get?.('Retry-After'))
+            });
+        }
+        if (!error) {
+            breaker.failures = 0;
+            return response;
+        }
+        breaker.failures++;
+        if (breaker.failures >= fetchCfg.breakerThreshold) {
+            breaker.openUntil = Date.now() + fetchCfg.breakerCooldown;
+            logger('warn', 'resilientFetch', `Circuit open for ${fetchCfg.breakerCooldown}ms after ${breaker.failures} failures`, { url });
+        }
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        if (attempt >= fetchCfg.retries || offline || breaker.openUntil > Date.now()) throw error;
+        const delay = backoffDelay(attempt, fetchCfg, error.retryAfter);
+        logger('info', 'resilientFetch', `Retrying in ${delay}ms (${error.message})`, { url, attempt: attempt + 1 });
+        await waitFor(delay, signal);
+    }
+}
+
+// Catalog message for a failed lookup
+function lookupErrorMessage(error) {
+    const offline = typeof navigator !== 'undefined' && navigator && navigator.onLine === false;
+    if (offline) return { key: 'error.offline' };
+    if (error?.kind === 'circuit-open') return { key: 'error.circuitOpen' };
+    if (error?.kind === 'timeout') return { key: 'error.timeout' };
+    return { key: 'error.generic' };
+}
+
+// Record-by-id requests (restore, integrity checks) must not open the breaker for code and name lookups
+function breakerScopeFor(lookup) {
+    return lookup === 'record' ? 'record' : null;
+}
+
+// Current proxy contract: GET ?AIRTABLE_BASE_ID&AIRTABLE_TABLE&field&q&maxRecords
+function createProxyGetAdapter(options = {}, cfg = CFG) {
+    const url = options.url || cfg.AIRTABLE_PROXY_URL;
+    const baseId = options.baseId || cfg.AIRTABLE_BASE_ID;
+    const table = options.table || cfg.AIRTABLE_TABLE;
+    return {
+        name: 'proxy',
+        async query(field, query, { signal, maxRecords = cfg.MAX_RECORDS, fields = [field], aliases = [], lookup } = {}) {
+            let params = `AIRTABLE_BASE_ID=${encodeURIComponent(baseId)}&AIRTABLE_TABLE=${encodeURIComponent(table)}&field=${encodeURIComponent(field)}&q=${encodeURIComponent(query)}&maxRecords=${encodeURIComponent(maxRecords)}`;
+            // Multi-field search: repeated fields= and aliases= parameters (left out for single-column lookups)
+            if (isMultiFieldSearch(field, fields, aliases)) {
+                params += fields.map(f => `&fields=${encodeURIComponent(f)}`).join('') + aliases.map(a => `&aliases=${encodeURIComponent(a)}`).join('');
+            }
+            const response = await resilientFetch(`${url}${url.includes('?') ? '&' : '?'}${params}`, { signal, headers: options.headers || undefined, breakerScope: breakerScopeFor(lookup) }, cfg.FETCH);
+            return readJsonResponse(response);
+        }
+    };
+}
+
+// Same contract sent as a JSON body, for proxies that require POST and/or auth headers
+function createProxyPostAdapter(options = {}, cfg = CFG) {
+    const url = options.url || cfg.AIRTABLE_PROXY_URL;
+    const baseId = options.baseId || cfg.AIRTABLE_BASE_ID;
+    const table = options.table || cfg.AIRTABLE_TABLE;
+    return {
+        name: 'proxy-post',
+        async query(field, query, { signal, maxRecords = cfg.MAX_RECORDS, fields = [field], aliases = [], lookup } = {}) {
+            const body = { AIRTABLE_BASE_ID: baseId, AIRTABLE_TABLE: table, field, q: query, maxRecords };
+            if (isMultiFieldSearch(field, fields, aliases)) Object.assign(body, { fields, aliases });
+            const response = await resilientFetch(url, {
+                method: 'POST',
+                signal,
+                breakerScope: breakerScopeFor(lookup),
+                credentials: options.credentials || 'same-origin',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(options.headers || {}) },
+                body: JSON.stringify(body)
+            }, cfg.FETCH);
+            return readJsonResponse(response);
+        }
+    };
+}
+
+// In-page dataset for staging and offline demos. Records come from `records`, a
+// <script type="application/json"> element (`elementId`) or window.FTG_DATASET.
+function createStaticAdapter(options = {}, cfg = CFG) {
+    let records = null;
+    const load = () => {
+        if (records) return records;
+        let source = options.records;
+        if (!source && options.elementId) {
+            const el = document.getElementById(options.elementId);
+            try { source = el ? JSON.parse(el.textContent || '[]') : null; } catch (e) {
+                logger('error', 'staticDataSource', 'Invalid JSON dataset', { elementId: options.elementId, error: e?.message });
+            }
+        }
+        if (!source) source = window.FTG_DATASET;
+        source = Array.isArray(source) ? source : (source && Array.isArray(source.records) ? source.records : []);
+        records = source.map(normalizeRecord);
+        return records;
+    };
+    return {
+        name: 'static',
+        cacheable: false,
+        async query(field, query, { maxRecords = cfg.MAX_RECORDS, fields = [field], aliases = [] } = {}) {
+            const q = String(query).toLowerCase();
+            const needles = [query, ...aliases].map(foldMatchText).filter(Boolean);
+            const matches = load().filter(r => fieldText(r.fields[field]).includes(q) || recordMatchesSearch(r, fields, needles));
+            return { records: matches.slice(0, maxRecords) };
+        },
+        async getRecord(id) {
+            return load().find(r => r.id === id) || null;
+        }
+    };
+}
+
+const DATA_SOURCE_ADAPTERS = {
+    proxy: createProxyGetAdapter,
+    'proxy-post': createProxyPostAdapter,
+    static: createStaticAdapter
+};
+
+function createDataSource(spec, cfg = CFG) {
+    if (spec && typeof spec === 'object' && typeof spec.query === 'function') return spec;
+    const options = typeof spec === 'string' ? { type: spec } : (spec || {});
+    const factory = DATA_SOURCE_ADAPTERS[options.type || 'proxy'];
+    if (!factory) {
+        logger('warn', 'createDataSource', `Unknown data source "${options.type}", falling back to proxy`);
+        return createProxyGetAdapter(options, cfg);
+    }
+    return factory(options, cfg);
+}
+
+function normalizeWithSource(source, raw) {
+    return normalizeRecord(typeof source.normalizeRecord === 'function' ? source.normalizeRecord(raw) : raw);
+}
+
+// Identical in-flight queries share one request, which is aborted only once every caller has aborted
+const inflightQueries = new Map();
+
+function coalesceQuery(key, run, signal) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    let shared = inflightQueries.get(key);
+    if (!shared) {
+        const controller = new AbortController();
+        shared = { controller, callers: 0, promise: null };
+        const current = shared;
+        shared.promise = run(controller.signal).finally(() => {
+            if (inflightQueries.get(key) === current) inflightQueries.delete(key);
+        });
+        // Callers that abort stop listening; the shared rejection must not go unhandled
+        shared.promise.catch(() => { /* noop */ });
+        inflightQueries.set(key, shared);
+    }
+    const request = shared;
+    request.callers++;
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const onAbort = () => {
+            if (settled) return;
+            settled = true;
+            if (--request.callers <= 0) {
+                request.controller.abort();
+                if (inflightQueries.get(key) === request) inflightQueries.delete(key);
+            }
+            reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        request.promise.then(value => {
+            if (settled) return;
+            settled = true;
+            signal?.removeEventListener('abort', onAbort);
+            resolve(value);
+        }, error => {
+            if (settled) return;
+            settled = true;
+            signal?.removeEventListener('abort', onAbort);
+            reject(error);
+        });
+    });
+}
+
+// Searchable text of a field value (linked/multi-select arrays are joined)
+function fieldText(value) {
+    return (Array.isArray(value) ? value.join(' ') : String(value ?? '')).toLowerCase();
+}
+
+/**
+ * Multi-field name search. Requests carry the columns to search and alternate spellings of the
+ * query (queryVariants); the results are ranked here (scoreSearchRecord) on folded text, since
+ * the data source only answers "contains".
+ */
+function isMultiFieldSearch(field, fields, aliases) {
+    return (Array.isArray(fields) && fields.some(f => f !== field)) || (Array.isArray(aliases) && aliases.length > 0);
+}
+
+// Alternate spellings of `query`: its folded form ("Mandarin Oriental, München" -> "mandarin oriental
+// munchen") and, for each alias group with a term in the query as whole words, that term swapped
+// for each of the group's other terms
+function queryVariants(query, aliasGroups = [], limit = 8) {
+    const lower = String(query ?? '').trim().toLowerCase();
+    const folded = foldMatchText(query);
+    const variants = [];
+    const add = (text) => { if (text && text !== lower && !variants.includes(text)) variants.push(text); };
+    add(folded);
+    (aliasGroups || []).forEach(group => {
+        const terms = (Array.isArray(group) ? group : []).map(foldMatchText).filter(Boolean);
+        terms.forEach(term => {
+            if (!` ${folded} `.includes(` ${term} `)) return;
+            terms.forEach(other => { if (other !== term) add(` ${folded} `.replace(` ${term} `, ` ${other} `).trim()); });
+        });
+    });
+    return variants.slice(0, limit);
+}
+
+// Folded texts of a record value (one per list entry)
+function searchTexts(value) {
+    return recordValueList(value).map(foldMatchText).filter(Boolean);
+}
+
+// Whether any of `fields` contains one of the folded `needles`
+function recordMatchesSearch(record, fields, needles) {
+    return fields.some(column => searchTexts(record?.fields?.[column]).some(text => needles.some(needle => text.includes(needle))));
+}
+
+// How folded `needle` occurs in folded `text`: 'exact', 'prefix', 'wordStart', 'contains' or null
+function searchMatchKind(text, needle) {
+    if (!text || !needle) return null;
+    if (text === needle) return 'exact';
+    if (text.startsWith(needle)) return 'prefix';
+    if (` ${text}`.includes(` ${needle}`)) return 'wordStart';
+    return text.includes(needle) ? 'contains' : null;
+}
+
+/**
+ * Best score of `record` over `fields` for the query and its variants:
+ * ranking[kind] * the column's weight (weights[column] ?? weights['*'] ?? 1), times ranking.alias
+ * for a match through an alias. 0 when nothing matches.
+ */
+function scoreSearchRecord(record, query, variants, fields, { ranking, weights = {} }) {
+    const folded = foldMatchText(query);
+    const needles = [{ text: folded, factor: 1 }, ...variants
+        .map(foldMatchText)
+        .filter(text => text && text !== folded)
+        .map(text => ({ text, factor: Number(ranking.alias ?? 1) }))];
+    let best = 0;
+    fields.forEach(column => {
+        const weight = Number(weights[column] ?? weights['*'] ?? 1);
+        searchTexts(record?.fields?.[column]).forEach(text => needles.forEach(({ text: needle, factor }) => {
+            const kind = searchMatchKind(text, needle);
+            if (kind) best = Math.max(best, (Number(ranking[kind]) || 0) * weight * factor);
+        }));
+    });
+    return best;
+}
+
+/**
+ * A cached shorter prefix whose result set was complete (fewer than maxRecords records) already
+ * holds every match for `query`, so filter it locally. Fresh memory-tier entries only.
+ */
+function refineFromCachedPrefix(keyFor, query, fields, aliases = []) {
+    const q = query.toLowerCase();
+    const needles = [query, ...aliases].map(foldMatchText).filter(Boolean);
+    for (let length = q.length - 1; length > 0; length--) {
+        const entry = memoryCacheGet(keyFor(q.slice(0, length)));
+        if (!entry || !entry.value?.complete) continue;
+        const records = entry.value.records.filter(r => fields.some(f => fieldText(r.fields?.[f]).includes(q)) || recordMatchesSearch(r, fields, needles));
+        return { records, complete: true, refinedFrom: q.slice(0, length) };
+    }
+    return null;
+}
+
+function sameRecords(a, b) {
+    try { return JSON.stringify(a?.records) === JSON.stringify(b?.records); } catch (e) { return false; }
+}
+
+// Run a data-source request and record its latency under `lookup` (aborted requests are not counted)
+async function timedLookup(lookup, run) {
+    const started = metricClock();
+    try {
+        const result = await run();
+        track('lookup.latency', Math.round(metricClock() - started), { lookup, outcome: 'ok' });
+        return result;
+    } catch (error) {
+        if (!isAbortError(error)) track('lookup.latency', Math.round(metricClock() - started), { lookup, outcome: 'error' });
+        throw error;
+    }
+}
+
+/**
+ * Unified Airtable query through a data source with tiered (memory + persistent) caching.
+ * `namespace` scopes cache keys to a base/table; `ttl` is the cache lifetime for this field.
+ * Identical in-flight requests are coalesced. `refine` filters a complete cached prefix result
+ * locally; `onRevalidate(data)` enables stale-while-revalidate (CACHE_STALE_WINDOW): a stale
+ * entry is returned at once and onRevalidate receives the refreshed data if it changed.
+ * `fresh` skips cached and refined results. `lookup` names the query type in metrics ('code' |
+ * 'name' | 'record'; defaults to the field). `fields` (with `field` first) and `aliases` make it
+ * a multi-field search (see queryVariants).
+ */
+async function queryAirtableContains(field, query, { signal, dataSource, namespace, maxRecords = CFG.MAX_RECORDS, ttl = cacheTtlFor(field), fresh = false, refine = false, onRevalidate = null, lookup = field, fields = [field], aliases = [] } = {}) {
+    const cleanQuery = (query || '').trim();
+    if (!cleanQuery) return { records: [] };
+    const cacheable = dataSource.cacheable !== false;
+    const keyFor = (q) => `${namespace}${dataSource.name || 'custom'}:${fields.join('|')}::${q.toLowerCase()}`;
+    const cacheKey = keyFor(cleanQuery);
+    const fetchAndStore = async (requestSignal) => {
+        const raw = await timedLookup(lookup, () => dataSource.query(field, cleanQuery, { signal: requestSignal, maxRecords, fields, aliases, lookup }));
+        const records = Array.isArray(raw?.records) ? raw.records.map(r => normalizeWithSource(dataSource, r)) : [];
+        // Fewer records than requested (and no further page): this is every match
+        const data = { ...(raw || {}), records, complete: records.length < maxRecords && !raw?.offset };
+        if (cacheable) cacheSet(cacheKey, data, ttl);
+        return data;
+    };
+    if (!cacheable) return fetchAndStore(signal);
+    if (!fresh) {
+        const swr = typeof onRevalidate === 'function' && CACHE_STALE_WINDOW > 0;
+        const entry = await cacheGetEntry(cacheKey, swr ? CACHE_STALE_WINDOW : 0);
+        if (entry) {
+            if (!isFreshEntry(entry)) {
+                coalesceQuery(cacheKey, fetchAndStore)
+                    .then(data => { if (!signal?.aborted && !sameRecords(data, entry.value)) onRevalidate(data); })
+                    .catch(error => logger('warn', 'queryAirtableContains', 'Background revalidation failed', { field, query: cleanQuery, error: error?.message }));
+            }
+            track('cache.result', 1, { lookup, result: isFreshEntry(entry) ? 'hit' : 'stale' });
+            return entry.value;
+        }
+        // A shorter prefix's results need not hold the matches of an alias spelling, so those are fetched
+        if (refine && aliases.every(alias => alias === foldMatchText(cleanQuery))) {
+            const refined = refineFromCachedPrefix(keyFor, cleanQuery, fields, aliases);
+            if (refined) {
+                logger('debug', 'queryAirtableContains', `Refined "${cleanQuery}" locally from "${refined.refinedFrom}"`);
+                track('cache.result', 1, { lookup, result: 'refined' });
+                return refined;
+            }
+        }
+        track('cache.result', 1, { lookup, result: 'miss' });
+    }
+    return coalesceQuery(fresh ? `${cacheKey}#fresh` : cacheKey, fetchAndStore, signal);
+}
+
+/**
+ * Record value coercion. Airtable returns multi-select, lookup and linked-record columns as arrays,
+ * checkbox columns as booleans and number/currency columns as numbers. Each value becomes a list
+ * of strings: booleans map to coercion.true / coercion.false, numbers to their string form, objects
+ * (linked records as { id, name }, collaborators, choices) to their name, and bare record ids
+ * inside arrays are dropped since they have no display name. Nested arrays are flattened.
+ */
+const RECORD_ID_PATTERN = /^rec[A-Za-z0-9]{14}$/;
+
+function coerceValueItem(item, coercion) {
+    if (item == null) return '';
+    if (typeof item === 'boolean') return String(item ? coercion.true : coercion.false);
+    if (typeof item === 'number') return Number.isFinite(item) ? String(item) : '';
+    if (typeof item === 'object') return coerceValueItem(item.name ?? item.label ?? item.value ?? null, coercion);
+    return String(item).trim();
+}
+
+function recordValueList(value, coercion = CFG.VALUE_COERCION) {
+    if (!Array.isArray(value)) {
+        const text = coerceValueItem(value, coercion);
+        return text ? [text] : [];
+    }
+    return value.flat(Infinity)
+        .map(item => coerceValueItem(item, coercion))
+        .filter(text => text && !RECORD_ID_PATTERN.test(text));
+}
+
+// Single text for inputs and labels (array entries joined with coercion.join)
+function coerceRecordValue(value, coercion = CFG.VALUE_COERCION) {
+    return recordValueList(value, coercion).join(coercion.join);
+}
+
+// Missing, blank and empty-array values are never populated (false and 0 are)
+function isEmptyRecordValue(value) {
+    return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Option matching: each option's text, value and data-name is compared with the record value
+// at increasingly lenient levels; the highest score wins and ties between options are ambiguous.
+const MATCH_SCORES = { exact: 100, normalized: 90, folded: 80, alias: 70, words: 30 };
+
+// Lowercase, '&' -> 'and', punctuation/separators collapsed to single spaces ("4-Star" ~ "4 star")
+function normalizeMatchText(value) {
+    return String(value ?? '').toLowerCase().replace(/&/g, ' and ').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// normalizeMatchText plus accent folding ("München" ~ "munchen")
+function foldMatchText(value) {
+    return normalizeMatchText(String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+}
+
+// Alias groups that apply to a field: OPTION_ALIASES as a list, or keyed by field key / '*'
+function getOptionAliases(aliasConfig, fieldKey) {
+    if (Array.isArray(aliasConfig)) return aliasConfig;
+    if (!aliasConfig || typeof aliasConfig !== 'object') return [];
+    return [...(aliasConfig['*'] || []), ...((fieldKey && aliasConfig[fieldKey]) || [])];
+}
+
+/**
+ * Rank `options` ([{ text, value, dataName }]) against `target`.
+ * Returns { match, kind, score, candidates }: `match` is the single best option, or null when
+ * nothing matched or several options share the best score (`candidates` then lists them).
+ */
+function matchOption(options, target, aliasGroups = []) {
+    const raw = String(target ?? '').trim();
+    const normalized = normalizeMatchText(raw);
+    const folded = foldMatchText(raw);
+    if (!folded) return { match: null, kind: null, score: 0, candidates: [] };
+    const aliases = new Set();
+    aliasGroups.forEach(group => {
+        const foldedGroup = (Array.isArray(group) ? group : []).map(foldMatchText);
+        if (foldedGroup.includes(folded)) foldedGroup.forEach(a => { if (a !== folded) aliases.add(a); });
+    });
+    const targetWords = folded.split(' ');
+    const scoreText = (text) => {
+        if (!text) return null;
+        if (text === raw) return 'exact';
+        if (normalizeMatchText(text) === normalized) return 'normalized';
+        const candidate = foldMatchText(text);
+        if (candidate === folded) return 'folded';
+        if (aliases.has(candidate)) return 'alias';
+        // Whole-word containment only, so "4" never matches "14-Star"
+        const words = candidate.split(' ');
+        if (targetWords.every(w => words.includes(w))) return 'words';
+        return null;
+    };
+    let best = { score: 0, kind: null, options: [] };
+    options.forEach(option => {
+        [option.text, option.value, option.dataName].forEach(text => {
+            const kind = scoreText(text);
+            if (!kind) return;
+            const score = MATCH_SCORES[kind];
+            if (score > best.score) best = { score, kind, options: [option] };
+            else if (score === best.score && !best.options.includes(option)) best.options.push(option);
+        });
+    });
+    // Distinct options (by value) sharing the top score cannot be told apart
+    const candidates = best.options.filter((o, i) => best.options.findIndex(x => x.value === o.value) === i);
+    return {
+        match: candidates.length === 1 ? candidates[0] : null,
+        kind: best.kind,
+        score: best.score,
+        candidates: candidates.length > 1 ? candidates : []
+    };
+}
+
+// Matchable options of a select (placeholders such as "Choose..." have an empty value and are skipped)
+function getSelectOptions(selectElement) {
+    return Array.from(selectElement.querySelectorAll('option'))
+        .filter(o => o.value !== '')
+        .map(o => ({
+            el: o,
+            text: (o.textContent || '').trim(),
+            value: o.value || '',
+            dataName: (o.getAttribute('data-name') || '').trim()
+        }));
+}
+
+/**
+ * Enhanced-select adapters keep a library's widget in step with its <select>. Each implements:
+ *   detect(select) -> boolean      the library has enhanced this select
+ *   setValue(select, value)        select the option with `value` ('' clears; a list for multiple selects) and refresh the widget
+ *   setLocked(select, locked)      disable/enable the select and the widget
+ *   notifyChange(select)           fire one bubbling native `change` for the page and the widget
+ * The first adapter that detects a select is used (checked on every call, so libraries may
+ * initialize after main.js); `native` matches everything. FTGForm.registerSelectAdapter adds more.
+ */
+function setNativeSelectValue(select, value) {
+    // Multiple selects take a list of values
+    if (Array.isArray(value)) {
+        Array.from(select.options).forEach(option => { option.selected = value.includes(option.value); });
+        return;
+    }
+    select.value = value;
+    if (value === '' && select.value !== '') select.selectedIndex = 0;
+}
+
+function dispatchSelectChange(select) {
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function isClearValue(value) {
+    return value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+const nativeSelectAdapter = {
+    name: 'native',
+    detect: () => true,
+    setValue: setNativeSelectValue,
+    setLocked(select, locked) {
+        select.disabled = locked;
+    },
+    notifyChange: dispatchSelectChange
+};
+
+// Tom Select keeps its instance on the element (select.tomselect)
+const tomSelectAdapter = {
+    name: 'tom-select',
+    detect: (select) => !!select.tomselect,
+    setValue(select, value) {
+        if (isClearValue(value)) select.tomselect.clear(true);
+        else select.tomselect.setValue(value, true);
+        setNativeSelectValue(select, value);
+    },
+    setLocked(select, locked) {
+        if (locked) select.tomselect.disable();
+        else select.tomselect.enable();
+        select.disabled = locked;
+    },
+    notifyChange: dispatchSelectChange
+};
+
+// Choices.js does not expose its instance. When the page keeps it on the element
+// (select.choices = new Choices(select)) it is used; otherwise the widget is driven through its
+// markup: its option and remove buttons are pressed (Choices acts on mousedown) and its wrapper
+// is disabled and made inert.
+function choicesInstance(select) {
+    return select.choices || select._choices || null;
+}
+
+// Press a Choices element; the change event Choices fires for it is swallowed (notifyChange sends one)
+function pressChoicesElement(select, el) {
+    const swallow = (event) => { if (event.target === select) event.stopImmediatePropagation(); };
+    window.addEventListener('change', swallow, true);
+    try {
+        el.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+    } finally {
+        window.removeEventListener('change', swallow, true);
+    }
+}
+
+function setChoicesMarkupValue(select, value) {
+    const container = select.closest('.choices');
+    const wanted = (Array.isArray(value) ? value : [value]).map(String);
+    const find = (selector, v) => Array.from(container.querySelectorAll(selector)).find(el => el.dataset.value === v);
+    if (select.multiple) {
+        // Deselecting needs the remove buttons (Choices' removeItemButton option)
+        container.querySelectorAll('.choices__item[data-item]').forEach(item => {
+            const button = !wanted.includes(item.dataset.value) && item.querySelector('[data-button]');
+            if (button) pressChoicesElement(select, button);
+        });
+        wanted.forEach(v => {
+            const choice = find('.choices__item[data-choice]', v);
+            if (choice) pressChoicesElement(select, choice);
+        });
+    } else {
+        // '' picks the placeholder choice ("Choose...")
+        const choice = find('.choices__item[data-choice]', isClearValue(value) ? '' : wanted[0]);
+        if (choice) pressChoicesElement(select, choice);
+    }
+}
+
+const choicesAdapter = {
+    name: 'choices',
+    detect: (select) => select.getAttribute('data-choice') === 'active' && !!(choicesInstance(select) || select.closest('.choices')),
+    setValue(select, value) {
+        const instance = choicesInstance(select);
+        if (instance) {
+            // setChoiceByValue adds to a multiple select's selection, so clear it first
+            if (isClearValue(value) || select.multiple) instance.removeActiveItems();
+            if (!isClearValue(value)) instance.setChoiceByValue(value);
+        } else {
+            setChoicesMarkupValue(select, value);
+        }
+        setNativeSelectValue(select, value);
+    },
+    setLocked(select, locked) {
+        const instance = choicesInstance(select);
+        if (instance) {
+            if (locked) instance.disable();
+            else instance.enable();
+        } else {
+            const container = select.closest('.choices');
+            container.classList.toggle('is-disabled', locked);
+            container.toggleAttribute('inert', locked);
+            if (locked) container.setAttribute('aria-disabled', 'true');
+            else container.removeAttribute('aria-disabled');
+        }
+        select.disabled = locked;
+    },
+    notifyChange: dispatchSelectChange
+};
+
+// Select2 listens through jQuery, which also receives native events; 'change.select2' only re-renders
+const select2Adapter = {
+    name: 'select2',
+    detect: (select) => !!window.jQuery && select.classList.contains('select2-hidden-accessible'),
+    setValue: setNativeSelectValue,
+    setLocked(select, locked) {
+        select.disabled = locked;
+        window.jQuery(select).trigger('change.select2');
+    },
+    notifyChange: dispatchSelectChange
+};
+
+const selectAdapters = [tomSelectAdapter, choicesAdapter, select2Adapter];
+
+function registerSelectAdapter(adapter) {
+    if (!adapter || typeof adapter.detect !== 'function') throw new TypeError('Select adapters need detect(select)');
+    // Missing methods fall back to the native behaviour
+    selectAdapters.unshift({ ...nativeSelectAdapter, name: 'custom', ...adapter });
+}
+
+function selectAdapterFor(select) {
+    return selectAdapters.find(adapter => {
+        try { return adapter.detect(select); } catch (e) { return false; }
+    }) || nativeSelectAdapter;
+}
+
+// Run an adapter method, falling back to the native one if the library call throws
+function withSelectAdapter(select, method, ...args) {
+    const adapter = selectAdapterFor(select);
+    try {
+        return adapter[method](select, ...args);
+    } catch (e) {
+        logger('warn', 'selectAdapter', `${adapter.name}.${method} failed; using the native select`, { error: e?.message });
+        return nativeSelectAdapter[method](select, ...args);
+    }
 }
-function cacheSet(key, value) {
-    if (airtableCache.has(key)) airtableCache.delete(key);
-    airtableCache.set(key, value);
-    if (airtableCache.size > MAX_CACHE) {
-        const first = airtableCache.keys().next().value;
-        airtableCache.delete(first);
+
+/**
+ * Match record values (a list, see recordValueList) against options. Single-choice controls take
+ * the first value that matches one option; `multiple` controls take every match. `unmatched`
+ * lists the values without a single matching option, with their matchOption result.
+ */
+function resolveOptions(options, values, aliases = [], multiple = false) {
+    const selected = [];
+    const unmatched = [];
+    for (const value of values) {
+        const result = matchOption(options, value, aliases);
+        if (!result.match) {
+            unmatched.push({ value, result });
+            continue;
+        }
+        if (result.kind !== 'exact') logger('debug', 'resolveOptions', `Matched "${value}" to "${result.match.text}" (${result.kind})`);
+        if (!selected.includes(result.match)) selected.push(result.match);
+        if (!multiple) break;
     }
+    return { selected, unmatched };
 }
 
-// Debounce utility
-function debounce(fn, delay = 300) {
-    let t; return function(...args) { clearTimeout(t); t = setTimeout(() => fn.apply(this, args), delay); };
-}
-
-
-// Module-level state
-let fields = {};
-let currentMode = 'Partner Early-Access Code Lookup';
-let autocompleteInstance = null;
-// Track last valid selection for establishment name to know when to invalidate
-let lastSelectedEstablishment = { id: null, name: null };
-// Controllers for canceling in-flight requests
-let nameSearchController = null;
-let codeLookupController = null;
-// Prevent showing duplicate blocking alerts in rapid succession
-let mismatchAlertDispatched = false;
-// Cached form element for submit gating
-let formEl = null;
-
-/**
- * Reset all dependent form fields to defaults while preserving the provided exclusions
- * (typically the currently edited text fields).
- */
-function resetDependentFields(exclusions = []) {
-    const excludeSet = new Set(exclusions);
-    resetFields(exclusions);
-    // Ensure Custom Establishment Name is cleared unless explicitly excluded
-    if (!excludeSet.has('customEstablishmentName') && fields.customEstablishmentName?.input) {
-        fields.customEstablishmentName.input.value = '';
-    }
-    // Forget last valid selection
-    lastSelectedEstablishment.id = null;
-    lastSelectedEstablishment.name = null;
-    // Update submit gating
-    updateFormSubmitState();
-}
-
-// Map visible label text -> internal field key
-// Keep this minimal; fallback logic below handles minor label variations
-const FIELD_LABEL_TO_KEY = {
-    'Partner Early-Access Code': 'redemptionCode',
-    'Official Establishment Name': 'officialEstablishmentName',
-    'Custom Establishment Name': 'customEstablishmentName',
-    'Establishment Type': 'establishmentType',
-    'Partner Status': 'partnerStatus',
-    'Award Level': 'awardLevel',
-    'Duties & Taxes': 'dutiesAndTaxes'
-};
+function resolveSelectOptions(selectElement, values, aliases = []) {
+    return resolveOptions(getSelectOptions(selectElement), values, aliases, selectElement.multiple);
+}
 
 /**
- * Scan the DOM for `.form-item` wrappers and build the fields map.
- * Idempotent: safe to call on dynamic content updates.
+ * Set a select's value by scored matching on text/value/data-name (see matchOption). `targetValue`
+ * may be any record value (arrays, numbers, linked records; see recordValueList); a multiple
+ * select takes every matching entry.
+ * Falls back to an inline mismatch hint (and `onMismatch`) if no single option can be matched;
+ * ambiguous matches are reported the same way with reason 'ambiguous'.
  */
-function initializeFields() {
-    fields = {}; // reset in case of re-init
-    const items = document.querySelectorAll('.form-item');
-    items.forEach(item => {
-        const label = item.querySelector('label');
-        if (!label) return;
-        // Capture the visible text minus any required markers / child spans
-        let rawText = (label.textContent || '').trim().replace(/\s+/g, ' ');
-        // Remove common adornments like '(required)' or trailing colons
-        rawText = rawText.replace(/\(required\)/i, '').replace(/:$/, '').trim();
-
-        let key = FIELD_LABEL_TO_KEY[rawText];
-
-        // Fallback 1: partial (startsWith) match for labels that append required markers or other text
-        if (!key) {
-            for (const [knownLabel, mappedKey] of Object.entries(FIELD_LABEL_TO_KEY)) {
-                if (rawText.toLowerCase().startsWith(knownLabel.toLowerCase())) {
-                    key = mappedKey; break;
-                }
+function setSelectValue(selectElement, targetValue, { onMismatch, aliases = [], coercion = CFG.VALUE_COERCION } = {}) {
+    if (!selectElement || isEmptyRecordValue(targetValue)) return false;
+    const { selected, unmatched } = resolveSelectOptions(selectElement, recordValueList(targetValue, coercion), aliases);
+    const wrapper = selectElement.closest('.form-item');
+    if (selected.length) {
+        withSelectAdapter(selectElement, 'setValue', selectElement.multiple ? selected.map(o => o.value) : selected[0].value);
+        selected.forEach(o => { o.el.selected = true; });
+        // Emit single change event (input removed to reduce duplicate listeners firing)
+        withSelectAdapter(selectElement, 'notifyChange');
+    }
+    // A multiple select reports the entries it could not take; a single one only when nothing matched
+    const missing = selectElement.multiple || !selected.length ? unmatched : [];
+    if (missing.length) {
+        showOptionMismatch(wrapper, selectElement, missing, onMismatch);
+        return false;
+    }
+    clearOptionMismatch(wrapper, selectElement);
+    return selected.length > 0;
+}
+
+function clearOptionMismatch(wrapper, control) {
+    try {
+        wrapper?.querySelector('.mismatch-text')?.remove();
+        control.removeAttribute('data-mismatch-shown');
+    } catch(e) { /* noop */ }
+}
+
+// Inline hint for record values without a matching option; `onMismatch` decides what happens next
+function showOptionMismatch(wrapper, control, unmatched, onMismatch) {
+    try {
+        if (wrapper) {
+            let messageElement = wrapper.querySelector('.mismatch-text');
+            if (!messageElement) {
+                messageElement = document.createElement('div');
+                messageElement.className = 'mismatch-text ftg-mismatch-text';
+                ensureLoaderStyles();
+                wrapper.appendChild(messageElement);
+            }
+            // Read label text and remove common adornments like '(required)' or trailing colons
+            const rawLabelText = (wrapper.querySelector('legend') || wrapper.querySelector('label'))?.textContent || 'Field';
+            const labelText = rawLabelText.replace(/\(required\)/i, '').replace(/:$/, '').trim() || 'Field';
+            // Every value that could not be placed, for display
+            const establishmentValue = unmatched.map(u => u.value).join(', ');
+            const result = unmatched[0].result;
+            const ambiguous = result.candidates.length > 1;
+            const candidateTexts = result.candidates.map(o => o.text || o.value);
+            // Unified mismatch inline message: only reference the missing value (not the field label)
+            renderMessage(messageElement, ambiguous
+                ? { key: 'mismatch.ambiguous', values: { value: establishmentValue, candidates: candidateTexts.join(', ') } }
+                : { key: 'mismatch.missing', values: { value: establishmentValue } });
+            // Let the caller decide how to handle the mismatch (dialog, reset, ...)
+            if (typeof onMismatch === 'function') {
+                onMismatch(establishmentValue, { label: labelText, control, reason: ambiguous ? 'ambiguous' : 'missing', candidates: candidateTexts });
             }
         }
+    } catch(e) { /* noop */ }
+}
 
-        // Derive from select[data-name] if still not matched
-        const selectEl = item.querySelector('select');
-        if (!key && selectEl && selectEl.getAttribute('data-name')) {
-            const dataName = selectEl.getAttribute('data-name').trim();
-            key = FIELD_LABEL_TO_KEY[dataName] || Object.entries(FIELD_LABEL_TO_KEY).find(([k]) => dataName.toLowerCase() === k.toLowerCase())?.[1];
-        }
+/**
+ * Choice controls: radio groups, checkbox groups and swatch-style variant pickers. A field's
+ * `choices` are its radio/checkbox inputs or swatch elements; swatches carry their option value in
+ * data-value (or a button's value) and report selection through aria-checked/-pressed/-selected.
+ */
+const SWATCH_SELECTOR = '[data-value], [role="radio"], button[value]';
 
-        if (!key) {
-            if (DEBUG) console.warn('Unmapped form-item label text:', rawText, item);
-            return; // ignore unrelated form-items
-        }
-        const input = item.querySelector('input');
-    const select = selectEl; // selectEl already queried above
-        fields[key] = { label, wrapper: item, input, select };
-    });
-    if (DEBUG) console.log('Initialized fields (scanned .form-item):', Object.keys(fields));
-    setMode(currentMode);
+/**
+ * Controls of a field inside `container` (which may be the control itself, for selector fields):
+ * { control, input, select, choices } where `control` is the schema control type.
+ */
+function findFieldControls(container, schemaField) {
+    const control = schemaField?.control || 'input';
+    const find = (selector) => container.matches(selector) ? [container] : Array.from(container.querySelectorAll(selector));
+    if (control === 'radio' || control === 'checkbox' || control === 'swatch') {
+        const choices = find(control === 'swatch' ? (schemaField.optionSelector || SWATCH_SELECTOR) : `input[type="${control}"]`);
+        return { control, input: null, select: null, choices: choices.length ? choices : null };
+    }
+    // Hidden mirrors of locked selects and choices (preventEdit) are not the field's input
+    const input = find(control === 'hidden' ? 'input[type="hidden"]:not([data-ftg-locked-mirror])' : 'input:not([data-ftg-locked-mirror])')[0] || null;
+    return { control, input, select: find('select')[0] || null, choices: null };
 }
 
-// Helper to safely retrieve a field object
-function getField(name) {
-    return fields[name] || null;
+// The element that stands for a field (focus, aria-invalid): its input, select or first choice
+function fieldControl(field) {
+    return field?.input || field?.select || field?.choices?.[0] || null;
 }
 
-// Bulk reset with optional exclusions
-function resetFields(exclusions = []) {
-    const excludeSet = new Set(exclusions);
-    Object.entries(fields).forEach(([name, fieldObj]) => {
-        if (excludeSet.has(name)) return;
-        resetField(fieldObj);
-    });
+function choiceLabelText(el) {
+    if (!el.matches('input')) return (el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent || '').trim();
+    const label = el.labels?.[0] || el.closest('label');
+    return ((label && label.textContent) || el.getAttribute('aria-label') || '').trim();
+}
+
+// Matchable options of a choice group, shaped like getSelectOptions
+function getChoiceOptions(choices) {
+    return choices.map(el => ({
+        el,
+        text: choiceLabelText(el),
+        value: el.matches('input') ? el.value : (el.getAttribute('data-value') ?? el.value ?? ''),
+        dataName: (el.getAttribute('data-name') || '').trim()
+    }));
+}
+
+function isChoiceSelected(el) {
+    if (el.matches('input')) return el.checked;
+    return ['aria-checked', 'aria-pressed', 'aria-selected'].some(name => el.getAttribute(name) === 'true');
+}
+
+// Checked values of a checkbox group; the selected value ('' for none) of any other choice field
+function choiceFieldValue(field) {
+    const selected = getChoiceOptions(field.choices || []).filter(o => isChoiceSelected(o.el)).map(o => o.value);
+    return field.control === 'checkbox' && field.choices.length > 1 ? selected : (selected[0] || '');
+}
+
+// A lone checkbox is a yes/no switch: on unless every value reads as false/no/0
+function isTruthyRecordValue(values, coercion) {
+    const off = new Set(['', 'false', '0', 'no', 'off', foldMatchText(coercion.false)]);
+    return values.some(value => !off.has(foldMatchText(value)));
 }
 
 /**
- * Apply a UI mode by hiding/locking fields as configured.
+ * Options a choice field should take for `values`: every match for a checkbox group, the first
+ * match otherwise. A lone checkbox resolves to itself or, with `clear`, to nothing.
  */
-function setMode(mode) {
-    currentMode = mode;
-    const config = MODES[mode] || { hide: [], prevent: [] };
-    hideElements(config.hide);
-    preventInteraction(config.prevent);
-    updateModeNote(mode);
+function resolveChoiceOptions(field, values, aliases = [], coercion = CFG.VALUE_COERCION) {
+    const options = getChoiceOptions(field.choices);
+    if (field.control === 'checkbox' && options.length === 1) {
+        const on = isTruthyRecordValue(values, coercion);
+        return { selected: on ? options : [], unmatched: [], clear: !on };
+    }
+    return resolveOptions(options, values, aliases, field.control === 'checkbox');
 }
 
-// Insert / remove a mode-specific note above the form with id="edit_website_product"
-const MODE_NOTE_ID = 'ftg-mode-note';
-// Mode note HTML (includes mailto link). Kept wording as provided; added missing space before 'for assistance.'
-const MODE_NOTE_HTML = 'Note: Until the Star Rating announcement on February 11, 2026, only Global Partners can place Store orders. Please use the Redemption Code provided to your General Manager. Contact <a href="mailto:support@forbestravelguide.com" style="color:#5b4400;text-decoration:underline;">support@forbestravelguide.com</a> for assistance.';
+// Set while main.js selects a swatch itself, so locked pickers still take record values
+let choiceClickAllowed = false;
 
-function updateModeNote(mode) {
-    try {
-        const form = document.getElementById('edit_website_product');
-        if (!form) return; // form not present yet
-        let existing = document.getElementById(MODE_NOTE_ID);
-        const shouldShow = mode === 'Partner Early-Access Code Lookup';
-        if (shouldShow) {
-            if (!existing) {
-                existing = document.createElement('div');
-                existing.id = MODE_NOTE_ID;
-                existing.setAttribute('role', 'note');
-                existing.style.cssText = 'background:#fff8e1;border:1px solid #f3d27a;color:#5b4400;padding:12px 14px;margin:0 0 14px 0;font-size:14px;line-height:1.4;font-family:system-ui,Arial,sans-serif;border-radius:4px;';
-                    existing.innerHTML = MODE_NOTE_HTML;
-                form.parentNode.insertBefore(existing, form);
-            } else {
-                // Ensure text is up to date (in case of future edits)
-                    // Ensure HTML is up to date (in case of future edits)
-                    if (existing.innerHTML !== MODE_NOTE_HTML) existing.innerHTML = MODE_NOTE_HTML;
-            }
-        } else if (existing) {
-            existing.remove();
-        }
-    } catch (e) {
-        if (DEBUG) console.error('Failed updating mode note:', e);
-    }
+function blockLockedChoiceClick(event) {
+    if (choiceClickAllowed || !event.currentTarget.hasAttribute('data-ftg-locked')) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
 }
 
-function hideElements(fieldNames) {
-    fieldNames.forEach(fieldName => {
-        const field = fields[fieldName];
-        if (field?.wrapper) {
-            field.wrapper.style.display = 'none';
-        }
+// Swatches are clicked so the theme switches the variant; pickers that keep no state of their own get aria state set here
+function selectSwatch(el, choices) {
+    if (isChoiceSelected(el)) return;
+    choiceClickAllowed = true;
+    try { el.click(); } finally { choiceClickAllowed = false; }
+    if (isChoiceSelected(el)) return;
+    choices.forEach(choice => {
+        const role = choice.getAttribute('role');
+        const attr = role === 'radio' ? 'aria-checked' : role === 'option' ? 'aria-selected' : 'aria-pressed';
+        choice.setAttribute(attr, String(choice === el));
     });
 }
 
-function preventInteraction(fieldNames) {
-    fieldNames.forEach(fieldName => {
-        const field = fields[fieldName];
-        if (!field) {
-            if (DEBUG) console.warn(`Requested to prevent interaction on unknown field key: ${fieldName}`);
-            return;
-        }
-    logger('debug', 'preventInteraction', `Preventing interaction with field: ${fieldName}`);
-        preventEdit(field);
-    });
+// Check/uncheck a radio or checkbox with the change event a shopper's click would fire
+function setChoiceChecked(input, checked) {
+    if (input.checked === checked) return;
+    input.checked = checked;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
 }
 
 /**
- * Wire Bootstrap 5 Autocomplete to the Official Establishment Name input.
+ * Populate a radio group, checkbox group or swatch picker from a record value (see setSelectValue):
+ * radios and swatches take the first matching value, checkbox groups every match, and a lone
+ * checkbox follows the value's truthiness.
  */
-function addEstablishmentNameListener() {
-    if (autocompleteInstance) return; // avoid duplicate init
-    const officialEstablishmentNameField = fields['officialEstablishmentName']?.input;
-    if (!officialEstablishmentNameField) {
-        console.warn('Establishment name field not found for autocomplete');
-        return;
-    }
-    if (typeof window.Autocomplete === 'undefined') {
-        console.warn('Autocomplete class not available yet. Make sure the module wrapper is loaded.');
-        return;
-    }
-    if (DEBUG) console.log('Setting up Bootstrap 5 autocomplete for establishment name field');
-    try {
-        const parentForSpinner = officialEstablishmentNameField.parentNode;
-        autocompleteInstance = new window.Autocomplete(officialEstablishmentNameField, {
-            source: debounce((query, callback) => {
-                if (DEBUG) console.log('Autocomplete source called with query:', query);
-                if (!parentForSpinner) { if (callback) callback([]); return []; }
-                // Clear any previous no-results message when typing
-                removeNoResultsMessage(parentForSpinner);
-                removeInlineErrorMessage(parentForSpinner);
-                showInlineSpinner(parentForSpinner, { position: 'absolute', right: '10px', top: '50%', transform: 'translateY(-50%)' });
-                if (query.length < 2) {
-                    if (DEBUG) console.log('Query too short, returning empty results');
-                    removeInlineSpinner(parentForSpinner);
-                    removeNoResultsMessage(parentForSpinner);
-                    removeInlineErrorMessage(parentForSpinner);
-                    if (callback) callback([]);
-                    return [];
-                }
-                // Cancel any in-flight search
-                if (nameSearchController) try { nameSearchController.abort(); } catch(e) { /* noop */ }
-                nameSearchController = new AbortController();
-                const signal = nameSearchController.signal;
-                return searchAirtableForAutocomplete(query, signal)
-                    .then(results => {
-                        if (DEBUG) console.log('Autocomplete results:', results);
-                        removeInlineSpinner(parentForSpinner);
-                        removeInlineErrorMessage(parentForSpinner);
-                        if (!Array.isArray(results) || results.length === 0) {
-                            showNoResultsMessage(parentForSpinner, query, 'name');
-                        } else {
-                            removeNoResultsMessage(parentForSpinner);
-                        }
-                        if (callback) callback(results);
-                        return results;
-                    })
-                    .catch(error => {
-                        // Ignore abort errors (superseded request)
-                        if (error && (error.name === 'AbortError' || error.code === 20)) {
-                            removeInlineSpinner(parentForSpinner);
-                            return [];
-                        }
-                        console.error('Error in autocomplete source:', error);
-                        removeInlineSpinner(parentForSpinner);
-                        removeNoResultsMessage(parentForSpinner);
-                        const offline = typeof navigator !== 'undefined' && navigator && navigator.onLine === false;
-                        const msg = offline ? 'You appear to be offline. Check your connection and try again.' : 'Something went wrong fetching results. Please try again.';
-                        showInlineErrorMessage(parentForSpinner, msg);
-                        if (callback) callback([]);
-                        return [];
-                    });
-            }, 250),
-            onSelectItem: (item) => {
-                if (DEBUG) console.log('Selected establishment:', item);
-                if (item.data) {
-                    removeNoResultsMessage(parentForSpinner);
-                    removeInlineErrorMessage(parentForSpinner);
-                    handleRedemptionCodeSelection(item.data);
-                    // Mark last valid name selection so edits can invalidate
-                    lastSelectedEstablishment.id = item.data.id || null;
-                    lastSelectedEstablishment.name = item.data.fields?.['Official Establishment Name'] || officialEstablishmentNameField.value || null;
-                    updateFormSubmitState();
-                } else {
-                    console.warn('No data found for selected item');
-                }
-            },
-            minLength: 2,
-            maximumItems: 10,
-            highlightTyped: true,
-            showValue: false,
-            showAllSuggestions: false
-        });
-    if (DEBUG) console.log('Bootstrap 5 Autocomplete instance created successfully');
-        // Invalidate previously populated fields if user edits/clears without a valid selection
-    officialEstablishmentNameField.addEventListener('input', debounce(() => {
-            const current = (officialEstablishmentNameField.value || '').trim();
-            if (lastSelectedEstablishment.name && current !== lastSelectedEstablishment.name) {
-        // Reset all but the primary text inputs (keep what user typed)
-        resetDependentFields(['officialEstablishmentName', 'redemptionCode']);
-            }
-            if (!current) {
-        resetDependentFields(['officialEstablishmentName', 'redemptionCode']);
-            }
-        }, 250));
-        officialEstablishmentNameField.addEventListener('blur', () => {
-            const current = (officialEstablishmentNameField.value || '').trim();
-            if (!current || (lastSelectedEstablishment.name && current !== lastSelectedEstablishment.name)) {
-        resetDependentFields(['officialEstablishmentName', 'redemptionCode']);
+function setChoiceValue(field, targetValue, { onMismatch, aliases = [], coercion = CFG.VALUE_COERCION } = {}) {
+    if (!field?.choices || isEmptyRecordValue(targetValue)) return false;
+    const { selected, unmatched, clear } = resolveChoiceOptions(field, recordValueList(targetValue, coercion), aliases, coercion);
+    const multiple = field.control === 'checkbox';
+    const chosen = selected.map(o => o.el);
+    if (chosen.length || clear) {
+        field.choices.forEach(el => {
+            if (!el.matches('input')) {
+                if (chosen.includes(el)) selectSwatch(el, field.choices);
+            } else if (multiple || chosen.includes(el)) {
+                setChoiceChecked(el, chosen.includes(el));
             }
         });
-    } catch (error) {
-        console.error('Error creating autocomplete instance:', error);
-    }
-}
-
-/**
- * Listen for Partner Early-Access Code input; when exactly 8 chars, query and populate.
- */
-function addRedemptionCodeListener() {
-    const redemptionCodeField = fields['redemptionCode']?.input;
-    if (!redemptionCodeField) return;
-    const handleInput = async (event) => {
-    const code = event.target.value.trim();
-    // Reset all other fields except the code itself
-    resetFields(['redemptionCode']);
-    // Clear any previous no-results message
-    removeNoResultsMessage(redemptionCodeField.parentNode);
-        removeInlineErrorMessage(redemptionCodeField.parentNode);
-        const existingHelpText = redemptionCodeField.parentNode.querySelector('.help-text');
-        if (existingHelpText) {
-            existingHelpText.remove();
-        }
-    // Cancel any in-flight code lookup when input changes
-    if (codeLookupController) try { codeLookupController.abort(); } catch(e) { /* noop */ }
-    if (code.length !== 8) {
-            const helpText = document.createElement('div');
-            helpText.className = 'help-text';
-            helpText.style.cssText = 'color: red; font-size: 12px; margin-top: 5px;';
-            helpText.textContent = 'Please check Partner Early-Access Code length. It must be exactly 8 characters.';
-            redemptionCodeField.parentNode.appendChild(helpText);
-            // Invalidate prior populated values if any
-            resetDependentFields(['redemptionCode', 'officialEstablishmentName']);
-        }
-        if (code.length === 8) {
-            if (DEBUG) console.log('Partner Early-Access Code entered:', code);
-            const parentForSpinner = redemptionCodeField.parentNode;
-            showInlineSpinner(parentForSpinner, { position: 'absolute', right: '10px', top: '50%', transform: 'translateY(-50%)' });
-            try {
-        codeLookupController = new AbortController();
-                // Note: Airtable column is still named 'Redemption Code' so we query that field; UI label changed to Partner Early-Access Code
-                const data = await queryAirtableContains('Redemption Code', code, codeLookupController.signal);
-                    if (data.records.length > 0) {
-                    removeNoResultsMessage(redemptionCodeField.parentNode);
-                    removeInlineErrorMessage(redemptionCodeField.parentNode);
-                    handleRedemptionCodeSelection(data.records[0]);
-                    // Track last valid name based on redemption selection
-                    lastSelectedEstablishment.id = data.records[0].id || null;
-                    lastSelectedEstablishment.name = data.records[0].fields?.['Official Establishment Name'] || fields.officialEstablishmentName?.input?.value || null;
-                    if (DEBUG) console.log('Partner Early-Access Code found and form populated');
-                    updateFormSubmitState();
-                } else {
-                    showNoResultsMessage(redemptionCodeField.parentNode, code, 'code');
-                    console.warn('No matching record found for Partner Early-Access Code:', code);
-                    // Keep typed code, clear dependent selects + custom name
-                    resetDependentFields(['redemptionCode', 'officialEstablishmentName']);
-                }
-            } catch (error) {
-                // Ignore abort errors quietly
-                if (!(error && (error.name === 'AbortError' || error.code === 20))) {
-                    console.error('Error looking up Partner Early-Access Code:', error);
-                    removeNoResultsMessage(redemptionCodeField.parentNode);
-                    const offline = typeof navigator !== 'undefined' && navigator && navigator.onLine === false;
-                    const msg = offline ? 'You appear to be offline. Check your connection and try again.' : 'Something went wrong fetching results. Please try again.';
-                    showInlineErrorMessage(redemptionCodeField.parentNode, msg);
-                    // On error, also clear dependent values
-                    resetDependentFields(['redemptionCode', 'officialEstablishmentName']);
-                }
-            } finally {
-                removeInlineSpinner(parentForSpinner);
-            }
-        }
-    };
-    redemptionCodeField.addEventListener('input', debounce(handleInput, 300));
-    redemptionCodeField.addEventListener('paste', (event) => {
-        setTimeout(() => {
-            redemptionCodeField.dispatchEvent(new Event('input', { bubbles: true }));
-        }, 100);
-    });
+        field.choices.forEach(syncChoiceMirror);
+    }
+    const missing = multiple || !(chosen.length || clear) ? unmatched : [];
+    if (missing.length) {
+        showOptionMismatch(field.wrapper, fieldControl(field), missing, onMismatch);
+        return false;
+    }
+    clearOptionMismatch(field.wrapper, fieldControl(field));
+    return true;
 }
 
 /**
- * Unified Airtable query via proxy server with simple in-memory caching.
+ * Suggestion rows. Record text is always escaped; the typed query is marked case- and
+ * accent-insensitively ("munchen" marks "München").
  */
-async function queryAirtableContains(field, query, signal) {
-    const cleanQuery = (query || '').trim();
-    if (!cleanQuery) return { records: [] };
-    const cacheKey = `${field}::${cleanQuery.toLowerCase()}`;
-    const cached = cacheGet(cacheKey);
-    if (cached) return cached;
-    const url = `${AIRTABLE_PROXY_URL}?AIRTABLE_BASE_ID=${encodeURIComponent(AIRTABLE_BASE_ID)}&AIRTABLE_TABLE=${encodeURIComponent(AIRTABLE_TABLE)}&field=${encodeURIComponent(field)}&q=${encodeURIComponent(cleanQuery)}&maxRecords=10`;
-    const response = await fetch(url, { signal });
-    if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    const data = await response.json();
-    cacheSet(cacheKey, data);
-    return data;
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
 
-/**
- * Data adapter for Autocomplete: returns [{label, value, data}] from Airtable.
- */
-async function searchAirtableForAutocomplete(query, signal) {
-    const data = await queryAirtableContains('Official Establishment Name', query, signal);
-    if (!data.records) return [];
-    return data.records
-        .filter(r => {
-            const n = r.fields['Official Establishment Name'];
-            return n && typeof n === 'string' && n.trim();
-        })
-        .map(r => {
-            const name = r.fields['Official Establishment Name'];
-            return { label: name, value: name, data: r };
-        });
+function highlightMatches(text, query) {
+    const chars = Array.from(String(text ?? ''));
+    const fold = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const needle = fold(String(query ?? '').trim());
+    if (!needle) return escapeHtml(chars.join(''));
+    // Folded text, with the index of the character each folded unit came from
+    let folded = '';
+    const origin = [];
+    chars.forEach((c, i) => {
+        const f = fold(c);
+        folded += f;
+        for (let k = 0; k < f.length; k++) origin.push(i);
+    });
+    let html = '';
+    let last = 0;
+    for (let at = folded.indexOf(needle); at >= 0; at = folded.indexOf(needle, at + needle.length)) {
+        const start = origin[at];
+        const end = origin[at + needle.length - 1] + 1;
+        if (start < last) continue;
+        html += `${escapeHtml(chars.slice(last, start).join(''))}<mark class="ftg-suggestion-match">${escapeHtml(chars.slice(start, end).join(''))}</mark>`;
+        last = end;
+    }
+    return html + escapeHtml(chars.slice(last).join(''));
 }
 
-// searchAirtable alias removed — use queryAirtableContains directly
+// Built-in 'rich' row: name and badge, then the secondary line
+function buildSuggestionHtml({ name, badge, meta }, query, highlight = true) {
+    const mark = (text) => highlight ? highlightMatches(text, query) : escapeHtml(text);
+    const badgeHtml = badge ? ` <span class="ftg-suggestion-badge">${mark(badge)}</span>` : '';
+    const metaHtml = meta ? `<span class="ftg-suggestion-meta">${mark(meta)}</span>` : '';
+    return `<span class="ftg-suggestion"><span class="ftg-suggestion-main"><span class="ftg-suggestion-name">${mark(name)}</span>${badgeHtml}</span>${metaHtml}</span>`;
+}
 
 /**
- * Populate related fields from a selected Airtable record.
+ * Accessible in-page dialog listing the options a record needs but this product lacks,
+ * with links to products that carry them. Replaces the old blocking window.alert.
+ * Returns a handle with close({ silent }); onClose runs unless silent. Focus then moves to
+ * returnFocus() when given, else back to the previously focused element. `inertRoot` (the form)
+ * is inert while the dialog is open, so pointer, keyboard and assistive tech stay in the dialog.
  */
-function handleRedemptionCodeSelection(record) {
-    const recFields = record.fields;
-    if (recFields['Official Establishment Name']) {
-        if (fields.officialEstablishmentName?.input) {
-            fields.officialEstablishmentName.input.value = recFields['Official Establishment Name'];
+function showMismatchDialog(items, { blocking = true, onClose, returnFocus, inertRoot = null, locale = resolveLocale(CFG.LOCALE) } = {}) {
+    ensureLoaderStyles();
+    const previouslyFocused = document.activeElement;
+    const uid = `ftg-mismatch-${Date.now().toString(36)}`;
+    const backdrop = document.createElement('div');
+    backdrop.className = 'ftg-dialog-backdrop';
+    backdrop.setAttribute('data-ftg-mismatch-dialog', '');
+    const dialog = document.createElement('div');
+    dialog.className = 'ftg-dialog';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${uid}-title`);
+    dialog.setAttribute('aria-describedby', `${uid}-desc`);
+    dialog.tabIndex = -1;
+    dialog.dir = isRtlLocale(locale) ? 'rtl' : 'ltr';
+
+    const title = document.createElement('h2');
+    title.id = `${uid}-title`;
+    title.className = 'ftg-dialog-title';
+    renderMessage(title, { key: 'mismatch.title' }, locale);
+    const description = document.createElement('p');
+    description.id = `${uid}-desc`;
+    renderMessage(description, { key: 'mismatch.description', values: { count: items.length } }, locale);
+    const list = document.createElement('ul');
+    list.className = 'ftg-dialog-list';
+    items.forEach(item => {
+        const li = document.createElement('li');
+        const strong = document.createElement('strong');
+        strong.textContent = item.label || item.field;
+        const detail = document.createElement('span');
+        renderMessage(detail, item.reason === 'ambiguous'
+            ? { key: 'mismatch.itemAmbiguous', values: { value: item.value, candidates: item.candidates.join(', ') } }
+            : { key: 'mismatch.itemMissing', values: { value: item.value } }, locale);
+        li.append(strong, detail);
+        if (item.links.length) {
+            const links = document.createElement('ul');
+            links.className = 'ftg-dialog-links';
+            item.links.forEach(link => {
+                const linkLi = document.createElement('li');
+                const a = document.createElement('a');
+                a.href = link.url;
+                a.textContent = link.label || link.url;
+                linkLi.appendChild(a);
+                links.appendChild(linkLi);
+            });
+            const availableOn = document.createElement('span');
+            renderMessage(availableOn, { key: 'mismatch.availableOn' }, locale);
+            li.append(availableOn, links);
         }
-        if (fields.customEstablishmentName?.input) {
-            fields.customEstablishmentName.input.value = recFields['Official Establishment Name'];
+        list.appendChild(li);
+    });
+    const hint = document.createElement('p');
+    renderMessage(hint, { key: 'mismatch.hint', values: { blocking } }, locale);
+    const actions = document.createElement('div');
+    actions.className = 'ftg-dialog-actions';
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'ftg-dialog-close';
+    renderMessage(closeButton, { key: 'mismatch.close', values: { blocking } }, locale);
+    actions.appendChild(closeButton);
+    dialog.append(title, description, list, hint, actions);
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+    // Left alone when already inert (someone else restores it) or when it holds the dialog itself
+    const inertTarget = inertRoot && !inertRoot.hasAttribute('inert') && !inertRoot.contains(backdrop) ? inertRoot : null;
+    if (inertTarget) inertTarget.setAttribute('inert', '');
+
+    let closed = false;
+    const onKeydown = (event) => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            close();
+        } else if (event.key === 'Tab') {
+            // Keep focus inside the dialog
+            const focusables = Array.from(dialog.querySelectorAll('a[href], button:not([disabled])'));
+            const first = focusables[0];
+            const last = focusables[focusables.length - 1];
+            if (event.shiftKey && document.activeElement === first) { event.preventDefault(); last.focus(); }
+            else if (!event.shiftKey && document.activeElement === last) { event.preventDefault(); first.focus(); }
         }
-    }
-    const dropdownMappings = {
-        'Award Level': 'awardLevel',
-        'Establishment Type': 'establishmentType',
-        'Partner Status': 'partnerStatus',
-        'Duties & Taxes': 'dutiesAndTaxes'
     };
-    Object.entries(dropdownMappings).forEach(([fieldName, configName]) => {
-        if (recFields[fieldName] && fields[configName]?.select) {
-            setSelectValue(fields[configName].select, recFields[fieldName]);
+    function close({ silent = false } = {}) {
+        if (closed) return;
+        closed = true;
+        document.removeEventListener('keydown', onKeydown, true);
+        backdrop.remove();
+        // Before focus returns: inert elements cannot take focus
+        if (inertTarget) inertTarget.removeAttribute('inert');
+        if (!silent && typeof onClose === 'function') onClose();
+        let focusTarget = previouslyFocused;
+        if (!silent && typeof returnFocus === 'function') {
+            try { focusTarget = returnFocus() || previouslyFocused; } catch (e) { /* noop */ }
         }
-    });
-    updateSelectElements(
-        recFields['Official Establishment Name'] || '',
-        recFields['Partner Status'] || '',
-        recFields['Award Level'] || '',
-        recFields['Duties & Taxes'] || ''
-    );
+        if (focusTarget && typeof focusTarget.focus === 'function' && focusTarget.isConnected) {
+            try { focusTarget.focus(); } catch (e) { /* noop */ }
+        }
+    }
+    closeButton.addEventListener('click', () => close());
+    document.addEventListener('keydown', onKeydown, true);
+    closeButton.focus();
+    return { element: backdrop, close };
 }
 
 /**
- * Set a select's value by matching on text/value/data-name (case-insensitive).
- * Falls back to an inline mismatch hint if no option can be matched.
+ * Theme tokens (CSS custom properties on :root). Dark values apply with COLOR_SCHEME 'dark',
+ * 'system' when the OS prefers dark, or 'page' when the page sets data-bs-theme="dark".
+ * FTG_CONFIG.THEME overrides them: { error: '#c00', noteBg: '#fff', dark: { error: '#f88' } }.
  */
-function setSelectValue(selectElement, targetValue) {
-    if (!selectElement || !targetValue) return false;
-    const options = Array.from(selectElement.querySelectorAll('option')).map(o => ({
-        el: o,
-        text: (o.textContent || '').trim(),
-        value: o.value || '',
-        dataName: (o.getAttribute('data-name') || '').trim()
-    }));
-    const tv = targetValue.toLowerCase();
-    const matched = options.find(o => [o.text, o.value, o.dataName].some(v => v.toLowerCase() === tv || v.toLowerCase().includes(tv)));
-    if (matched) {
-        selectElement.value = matched.value;
-        matched.el.selected = true;
-        if (window.jQuery && window.jQuery(selectElement).hasClass('select2-hidden-accessible')) {
-            window.jQuery(selectElement).val(matched.value).trigger('change');
-        }
-    // Emit single change event (input removed to reduce duplicate listeners firing)
-    selectElement.dispatchEvent(new Event('change', { bubbles: true }));
-        // Clear mismatch UI if any
-        try {
-            const wrapper = selectElement.closest('.form-item');
-            wrapper?.querySelector('.mismatch-text')?.remove();
-            selectElement.removeAttribute('data-mismatch-shown');
-        } catch(e) { /* noop */ }
-        return true;
-    }
-    // Fallback mismatch messaging (kept from previous dynamic setter)
-    try {
-        const wrapper = selectElement.closest('.form-item');
-        if (wrapper) {
-            let messageElement = wrapper.querySelector('.mismatch-text');
-            if (!messageElement) {
-                messageElement = document.createElement('div');
-                messageElement.className = 'mismatch-text';
-                messageElement.style.cssText = 'color: #b00020; font-size: 12px; margin-top: 4px; line-height:1.3;';
-                wrapper.appendChild(messageElement);
-            }
-            // Read label text and remove common adornments like '(required)' or trailing colons
-            const rawLabelText = wrapper.querySelector('label')?.textContent || 'Field';
-            const labelText = rawLabelText.replace(/\(required\)/i, '').replace(/:$/, '').trim() || 'Field';
-            // Normalize establishment value for display (arrays -> joined string)
-            const establishmentValue = Array.isArray(targetValue) ? targetValue.join(', ') : String(targetValue);
-            // Unified mismatch inline message: only reference the missing value (not the field label)
-            messageElement.textContent = `This product does not have an option for "${establishmentValue}".`;
-            // Show blocking alert to the user with the requested message, then clear the form after they click OK
-            try {
-                if (!mismatchAlertDispatched) {
-                    mismatchAlertDispatched = true;
-                    const alertMsg = `Sorry, this product does not have a "{establishment value}" option. Please select a different product.`;
-                    const populated = alertMsg.replace(/{establishment value}/g, establishmentValue);
-                    window.alert(populated);
-                    // allow future alerts after a short cooldown
-                    setTimeout(() => { mismatchAlertDispatched = false; }, 1200);
-                }
-            } catch (e) {
-                // If alert fails for some reason, log and continue
-                console.error('Failed to show mismatch alert:', e);
-            }
-            // Clear the form after user dismisses the alert
-            try { clearAndResetForm(); } catch (e) { console.error('Failed to clear form after mismatch alert:', e); }
-        }
-    } catch(e) { /* noop */ }
-    // Removed blocking alert to streamline UX; inline message above is sufficient
-    return false;
+const THEME_TOKENS = {
+    font: 'system-ui, Arial, sans-serif',
+    text: '#212529',
+    muted: '#6c757d',
+    error: '#b00020',
+    surface: '#fff',
+    noteBg: '#fff8e1',
+    noteBorder: '#f3d27a',
+    noteText: '#5b4400',
+    lockedBg: '#e9ecef',
+    lockedText: '#6c757d',
+    lockedOpacity: '0.5',
+    spinnerText: '#555',
+    spinnerDot: '#888',
+    backdrop: 'rgba(0, 0, 0, .45)',
+    buttonBg: '#212529',
+    buttonText: '#fff',
+    switchBorder: '#ced4da',
+    focus: '#0d6efd',
+    radius: '4px',
+    shadow: '0 10px 30px rgba(0, 0, 0, .25)',
+    highlightBg: '#fff3cd',
+};
+const THEME_DARK_TOKENS = {
+    text: '#e9ecef',
+    muted: '#adb5bd',
+    error: '#ff7b8a',
+    surface: '#212529',
+    noteBg: '#332701',
+    noteBorder: '#997404',
+    noteText: '#ffe69c',
+    lockedBg: '#343a40',
+    lockedText: '#adb5bd',
+    spinnerText: '#ced4da',
+    spinnerDot: '#adb5bd',
+    backdrop: 'rgba(0, 0, 0, .65)',
+    buttonBg: '#f8f9fa',
+    buttonText: '#212529',
+    switchBorder: '#495057',
+    focus: '#6ea8fe',
+    shadow: '0 10px 30px rgba(0, 0, 0, .6)',
+    highlightBg: '#664d03',
+};
+
+// 'noteBg' -> '--ftg-note-bg' (names starting with -- are used as given)
+function themeProperty(key) {
+    return key.startsWith('--') ? key : `--ftg-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
 }
 
-function clearAndResetForm() {
-    resetFields();
-    // Clear any inline UI messages (errors, no-results, spinners, mismatch hints) from the form
-    try {
-        // Clear at the per-field wrapper level
-        Object.values(fields || {}).forEach(fieldObj => {
-            try {
-                const wrapper = fieldObj?.wrapper || (fieldObj?.input && fieldObj.input.parentNode) || (fieldObj?.select && fieldObj.select.parentNode);
-                if (wrapper) {
-                    removeInlineErrorMessage(wrapper);
-                    removeNoResultsMessage(wrapper);
-                    removeInlineSpinner(wrapper);
-                    const mismatchHint = wrapper.querySelector('.mismatch-text');
-                    if (mismatchHint) mismatchHint.remove();
-                }
-            } catch (e) { /* noop per-field */ }
-        });
-        // Also clear any inline messages attached to the form itself
-        if (formEl) {
-            removeInlineErrorMessage(formEl);
-            removeNoResultsMessage(formEl);
-            removeInlineSpinner(formEl);
-        }
-    } catch (e) {
-        if (DEBUG) console.error('Error clearing inline messages during form reset:', e);
-    }
-    const preventList = currentMode === 'Partner Early-Access Code Lookup'
-        ? ['establishmentType', 'partnerStatus', 'awardLevel', 'dutiesAndTaxes', 'officialEstablishmentName']
-        : ['establishmentType', 'partnerStatus', 'awardLevel', 'dutiesAndTaxes'];
-    preventInteraction(preventList);
-    if (currentMode !== 'Partner Early-Access Code Lookup' && autocompleteInstance && getField('officialEstablishmentName')?.input) {
-        getField('officialEstablishmentName').input.value = '';
-    }
+function themeDeclarations(tokens) {
+    return Object.entries(tokens || {})
+        .filter(([, value]) => value != null && typeof value !== 'object')
+        .map(([key, value]) => `${themeProperty(key)}:${value};`)
+        .join('');
+}
+
+function buildStylesheet(theme = {}) {
+    const light = themeDeclarations({ ...THEME_TOKENS, ...theme });
+    const dark = themeDeclarations({ ...THEME_DARK_TOKENS, ...(theme.dark || {}) });
+    const darkSelectors = ':root[data-ftg-color-scheme="dark"],:root[data-ftg-color-scheme="page"][data-bs-theme="dark"]';
+    return `/* Theme */
+:root{${light}}
+${darkSelectors}{${dark}}
+@media (prefers-color-scheme: dark){:root[data-ftg-color-scheme="system"]{${dark}}}
+/* Loader Utilities */
+.ftg-spinner{display:inline-flex;align-items:center;gap:6px;font-size:12px;color:var(--ftg-spinner-text);font-family:var(--ftg-font);pointer-events:none;}
+.ftg-spinner-dot{width:6px;height:6px;border-radius:50%;background:var(--ftg-spinner-dot);animation:ftg-bounce 0.9s infinite ease-in-out;}
+.ftg-spinner-dot:nth-child(2){animation-delay:0.15s;}
+.ftg-spinner-dot:nth-child(3){animation-delay:0.3s;}
+.ftg-spinner-text{font-size:11px;text-transform:uppercase;letter-spacing:1px;}
+.ftg-spinner--in-field{position:absolute;top:50%;inset-inline-end:10px;transform:translateY(-50%);z-index:2;gap:4px;}
+.ftg-spinner--in-field .ftg-spinner-text{display:none;}
+@keyframes ftg-bounce{0%,80%,100%{opacity:.3;transform:translateY(0);}40%{opacity:1;transform:translateY(-4px);}}
+@media (prefers-reduced-motion: reduce){.ftg-spinner-dot{animation:none;}}
+/* Inline messages */
+.ftg-inline-msg{text-align:start;margin-top:6px;font-size:12px;line-height:1.3;color:var(--ftg-muted);font-family:var(--ftg-font);}
+.ftg-inline-msg.no-results,.ftg-inline-msg.error{color:var(--ftg-error);}
+.ftg-help-text{margin-top:5px;font-size:12px;color:var(--ftg-error);}
+.ftg-mismatch-text{margin-top:4px;font-size:12px;line-height:1.3;color:var(--ftg-error);}
+.ftg-inline-retry{margin-inline-start:4px;padding:0;border:0;background:none;color:inherit;font:inherit;text-decoration:underline;cursor:pointer;}
+.ftg-sr-only{position:absolute!important;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;}
+/* Mode note */
+.ftg-mode-note{background:var(--ftg-note-bg);border:1px solid var(--ftg-note-border);color:var(--ftg-note-text);padding:12px 14px;margin:0 0 14px 0;font-size:14px;line-height:1.4;font-family:var(--ftg-font);border-radius:var(--ftg-radius);}
+.ftg-mode-note a{color:inherit;text-decoration:underline;}
+/* Mode switcher */
+.ftg-mode-switch{display:inline-flex;flex-wrap:wrap;margin:0 0 14px;padding:0;border:1px solid var(--ftg-switch-border);border-radius:var(--ftg-radius);overflow:hidden;font:14px/1.3 var(--ftg-font);}
+.ftg-mode-switch[hidden],.ftg-mode-switch-option[hidden]{display:none;}
+.ftg-mode-switch-option{position:relative;margin:0;cursor:pointer;}
+.ftg-mode-switch-option input{position:absolute;opacity:0;width:1px;height:1px;margin:0;}
+.ftg-mode-switch-option span{display:block;padding:8px 14px;background:var(--ftg-surface);color:var(--ftg-text);}
+.ftg-mode-switch-option + .ftg-mode-switch-option span{border-inline-start:1px solid var(--ftg-switch-border);}
+.ftg-mode-switch-option input:checked + span{background:var(--ftg-button-bg);color:var(--ftg-button-text);}
+.ftg-mode-switch-option input:focus-visible + span{outline:2px solid var(--ftg-focus);outline-offset:-4px;}
+/* Locked fields */
+input.ftg-locked,select.ftg-locked{opacity:var(--ftg-locked-opacity);background-color:var(--ftg-locked-bg);color:var(--ftg-locked-text);}
+.ftg-locked[aria-disabled="true"]{opacity:var(--ftg-locked-opacity);cursor:not-allowed;}
+/* Name suggestions */
+.ftg-suggestion{display:block;white-space:normal;line-height:1.3;}
+.ftg-suggestion-badge{display:inline-block;margin-inline-start:6px;padding:0 5px;border:1px solid currentColor;border-radius:var(--ftg-radius);font-size:.75em;line-height:1.5;vertical-align:middle;}
+.ftg-suggestion-meta{display:block;font-size:.85em;color:var(--ftg-muted);}
+mark.ftg-suggestion-match{padding:0;background:var(--ftg-highlight-bg);color:inherit;font-weight:600;}
+.text-white .ftg-suggestion-meta,[aria-selected="true"] .ftg-suggestion-meta{color:inherit;}
+.text-white mark.ftg-suggestion-match,[aria-selected="true"] mark.ftg-suggestion-match{background:transparent;text-decoration:underline;}
+/* Mismatch dialog */
+.ftg-dialog-backdrop{position:fixed;inset:0;z-index:10000;display:flex;align-items:center;justify-content:center;padding:16px;background:var(--ftg-backdrop);}
+.ftg-dialog{max-width:460px;width:100%;max-height:90vh;overflow:auto;background:var(--ftg-surface);color:var(--ftg-text);border-radius:calc(var(--ftg-radius) + 2px);padding:20px 22px;font:14px/1.45 var(--ftg-font);box-shadow:var(--ftg-shadow);}
+.ftg-dialog-title{margin:0 0 8px;font-size:18px;line-height:1.3;}
+.ftg-dialog-list{margin:8px 0;padding-inline-start:20px;}
+.ftg-dialog-links{margin:4px 0 0;padding-inline-start:18px;}
+.ftg-dialog-actions{display:flex;justify-content:flex-end;margin-top:16px;}
+.ftg-dialog-close{cursor:pointer;border:0;border-radius:var(--ftg-radius);padding:8px 14px;background:var(--ftg-button-bg);color:var(--ftg-button-text);font:inherit;}`;
 }
 
-// Inject minimal CSS once
+// Inject the stylesheet once (INJECT_STYLES: false leaves all styling to the page)
 let loaderStylesInjected = false;
 function ensureLoaderStyles() {
     if (loaderStylesInjected) return;
-    const css = `/* Loader Utilities */\n.loading-inline-spinner{display:inline-flex;align-items:center;font-size:12px;color:#555;font-family:system-ui,Arial,sans-serif;gap:6px;}\n.loading-inline-spinner .dot{width:6px;height:6px;border-radius:50%;background:#888;animation:ftg-bounce 0.9s infinite ease-in-out;}\n.loading-inline-spinner .dot:nth-child(2){animation-delay:0.15s;}\n.loading-inline-spinner .dot:nth-child(3){animation-delay:0.3s;}\n@keyframes ftg-bounce{0%,80%,100%{opacity:.3;transform:translateY(0);}40%{opacity:1;transform:translateY(-4px);}}\n/* Inline messages */\n.ftg-inline-msg{margin-top:6px;font-size:12px;line-height:1.3;color:#6c757d;font-family:system-ui,Arial,sans-serif;}\n.ftg-inline-msg.no-results{color:#b00020;}\n.ftg-inline-msg.error{color:#b00020;}`;
+    loaderStylesInjected = true;
+    if (CFG.INJECT_STYLES === false) return;
     const styleTag = document.createElement('style');
     styleTag.setAttribute('data-ftg-loader-styles', '');
-    styleTag.textContent = css;
+    styleTag.textContent = buildStylesheet(CFG.THEME || {});
     document.head.appendChild(styleTag);
-    loaderStylesInjected = true;
+    document.documentElement.setAttribute('data-ftg-color-scheme', CFG.COLOR_SCHEME || 'page');
 }
 
 // Inline spinner helpers
-function showInlineSpinner(container, inlineStyleOverrides = {}) {
+// `inField` overlays the spinner at the inline end of the field inside `container`
+function showInlineSpinner(container, { inField = false } = {}) {
     if (!container) return;
     ensureLoaderStyles();
     // Avoid duplicates
     if (container.querySelector(':scope > .loading-inline-spinner')) return;
-    // If we plan to absolutely position inside the field, ensure the container can anchor it
-    const willBeAbsolute = inlineStyleOverrides && String(inlineStyleOverrides.position || '').toLowerCase() === 'absolute';
-    if (willBeAbsolute) {
+    // The in-field spinner is absolutely positioned, so the container must anchor it
+    if (inField) {
         const cs = window.getComputedStyle(container);
         if (cs && cs.position === 'static') {
             // remember previous position to restore later
@@ -619,37 +4163,25 @@ function showInlineSpinner(container, inlineStyleOverrides = {}) {
         }
     }
     const wrap = document.createElement('div');
-    wrap.className = 'loading-inline-spinner';
-    Object.assign(wrap.style, inlineStyleOverrides);
-    // Ensure it doesn't block input interactions when overlayed
-    wrap.style.pointerEvents = 'none';
-    if (willBeAbsolute) {
-        wrap.style.zIndex = '2';
-        wrap.style.gap = '4px';
-    }
-    // 3 animated dots + accessible text (visually hidden or standard?)
-    ['dot','dot','dot'].forEach(()=>{ const d=document.createElement('span'); d.className='dot'; wrap.appendChild(d); });
+    wrap.className = inField ? 'loading-inline-spinner ftg-spinner ftg-spinner--in-field' : 'loading-inline-spinner ftg-spinner';
+    // 3 animated dots + text (hidden inside the field to keep it compact)
+    ['dot','dot','dot'].forEach(()=>{ const d=document.createElement('span'); d.className='dot ftg-spinner-dot'; wrap.appendChild(d); });
     const text = document.createElement('span');
-    text.textContent = 'Loading';
-    text.style.fontSize = '11px';
-    text.style.textTransform = 'uppercase';
-    text.style.letterSpacing = '1px';
-    // When inside the input (absolute), hide the text to keep UI compact
-    if (willBeAbsolute) {
-        text.style.display = 'none';
-        text.setAttribute('aria-hidden', 'true');
-    }
+    text.className = 'ftg-spinner-text';
+    renderMessage(text, { key: 'spinner.loading' }, localeFor(container));
+    if (inField) text.setAttribute('aria-hidden', 'true');
     wrap.appendChild(text);
     container.appendChild(wrap);
 
-    // If overlaying inside an input field, add right padding so text doesn't overlap
-    if (willBeAbsolute) {
+    // Reserve room at the field's end (left in right-to-left layouts) so text doesn't run under it
+    if (inField) {
         const inputEl = container.querySelector('input');
         if (inputEl) {
             if (!inputEl.dataset.ftgSpinnerPadApplied) {
-                inputEl.dataset.ftgSpinnerPadApplied = '1';
-                inputEl.dataset.ftgSpinnerPrevPadRight = inputEl.style.paddingRight || '';
-                inputEl.style.paddingRight = '2.25rem';
+                const padProperty = directionAt(container) === 'rtl' ? 'paddingLeft' : 'paddingRight';
+                inputEl.dataset.ftgSpinnerPadApplied = padProperty;
+                inputEl.dataset.ftgSpinnerPrevPad = inputEl.style[padProperty] || '';
+                inputEl.style[padProperty] = '2.25rem';
             }
         }
     }
@@ -662,9 +4194,10 @@ function removeInlineSpinner(container) {
     // Restore input padding if we changed it
     const inputEl = container.querySelector('input');
     if (inputEl && inputEl.dataset.ftgSpinnerPadApplied) {
-        inputEl.style.paddingRight = inputEl.dataset.ftgSpinnerPrevPadRight || '';
+        const padProperty = inputEl.dataset.ftgSpinnerPadApplied === 'paddingLeft' ? 'paddingLeft' : 'paddingRight';
+        inputEl.style[padProperty] = inputEl.dataset.ftgSpinnerPrevPad || '';
         delete inputEl.dataset.ftgSpinnerPadApplied;
-        delete inputEl.dataset.ftgSpinnerPrevPadRight;
+        delete inputEl.dataset.ftgSpinnerPrevPad;
     }
     // Restore container position if we modified it
     if (container.dataset.ftgPrevPosition === 'static') {
@@ -683,12 +4216,9 @@ function showNoResultsMessage(container, queryText, searchType = 'generic') {
     messageElement.className = 'ftg-inline-msg no-results';
     messageElement.setAttribute('role', 'status');
     messageElement.setAttribute('aria-live', 'polite');
-    const messages = {
-        name: `No Official Establishment Name matches "${queryText}".`,
-    code: `No Partner Early-Access Code matches "${queryText}".`,
-    };
-    messageElement.textContent = messages[searchType] || `No results found for "${queryText}".`;
+    const key = searchType === 'name' || searchType === 'code' ? `noResults.${searchType}` : 'noResults.generic';
     container.appendChild(messageElement);
+    renderMessage(messageElement, { key, values: { query: queryText } });
     return messageElement;
 }
 function removeNoResultsMessage(container) {
@@ -698,7 +4228,9 @@ function removeNoResultsMessage(container) {
 }
 
 // Inline error message helpers (network/offline)
-function showInlineErrorMessage(container, message) {
+// `message` is a string or a { key, values } catalog message; `onRetry` adds a Retry button
+// that removes the message and calls it
+function showInlineErrorMessage(container, message, { onRetry } = {}) {
     if (!container) return;
     ensureLoaderStyles();
     removeInlineErrorMessage(container);
@@ -706,8 +4238,22 @@ function showInlineErrorMessage(container, message) {
     messageElement.className = 'ftg-inline-msg error';
     messageElement.setAttribute('role', 'alert');
     messageElement.setAttribute('aria-live', 'assertive');
-    messageElement.textContent = message;
     container.appendChild(messageElement);
+    const text = document.createElement('span');
+    messageElement.appendChild(text);
+    renderMessage(text, message);
+    messageElement.dir = text.dir;
+    if (typeof onRetry === 'function') {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'ftg-inline-retry';
+        renderMessage(retryButton, { key: 'error.retry' });
+        retryButton.addEventListener('click', () => {
+            messageElement.remove();
+            onRetry();
+        });
+        messageElement.append(' ', retryButton);
+    }
     return messageElement;
 }
 function removeInlineErrorMessage(container) {
@@ -716,8 +4262,28 @@ function removeInlineErrorMessage(container) {
     if (el) el.remove();
 }
 
+// Inline status message helpers (neutral confirmations, e.g. after a submit)
+function showInlineStatusMessage(container, message) {
+    if (!container) return;
+    ensureLoaderStyles();
+    removeInlineStatusMessage(container);
+    const messageElement = document.createElement('div');
+    messageElement.className = 'ftg-inline-msg status';
+    messageElement.setAttribute('role', 'status');
+    messageElement.setAttribute('aria-live', 'polite');
+    container.appendChild(messageElement);
+    renderMessage(messageElement, message);
+    return messageElement;
+}
+function removeInlineStatusMessage(container) {
+    if (!container) return;
+    const el = container.querySelector(':scope > .ftg-inline-msg.status');
+    if (el) el.remove();
+}
+
 // Unified logger (replaces debugLog)
 function logger(level, scope, message, meta = null) {
+    reportLog(level, scope, message, meta);
     const ts = new Date().toISOString();
     const globalDebug = (typeof window !== 'undefined' && window.FTG_DEBUG) || DEBUG;
     if (level === 'debug' && !globalDebug) return; // skip debug when disabled
@@ -728,127 +4294,81 @@ function logger(level, scope, message, meta = null) {
     return console.log(line, meta || '');
 }
 
-/**
- * Update select elements based on provided data
- * 
- * @param {string} officialEstablishmentName - Name of the establishment
- * @param {string} partnerStatus - Partner status of the establishment
- * @param {string} awardLevel - Award level of the establishment
- */
-/**
- * Update all select inputs based on the chosen establishment record fields.
- */
-const updateSelectElements = (officialEstablishmentName, partnerStatus, awardLevel, dutiesAndTaxes) => {
-    const functionName = 'updateSelectElements';
-    try {
-    logger('info', functionName, 'Updating Select Elements', { officialEstablishmentName, partnerStatus, awardLevel, dutiesAndTaxes });
-
-        // Update Custom Establishment Name field
-        const customEstablishmentNameField = fields.customEstablishmentName?.input;
-        if (customEstablishmentNameField) {
-            customEstablishmentNameField.value = officialEstablishmentName;
-        }
-
-        // Update partner status select dynamically
-    const partnerStatusSelectField = fields.partnerStatus?.select;
-    if (partnerStatusSelectField) setSelectValue(partnerStatusSelectField, partnerStatus);
-
-        // Update award level dynamically
-    const awardLevelSelectField = fields.awardLevel?.select;
-    if (awardLevelSelectField) setSelectValue(awardLevelSelectField, awardLevel);
-
-        // Update duties and taxes dynamically
-    const dutiesAndTaxesSelectField = fields.dutiesAndTaxes?.select;
-    if (dutiesAndTaxesSelectField) setSelectValue(dutiesAndTaxesSelectField, dutiesAndTaxes);
-    } catch (error) {
-        logger('error', functionName, 'Failed updating select elements', { error: error?.message, officialEstablishmentName, partnerStatus, awardLevel, dutiesAndTaxes });
-        throw error; // Re-throw for caller to handle
-    }
-};
-
-// Enable/disable submit buttons based on whether a valid selection exists
-function updateFormSubmitState() {
-    if (!formEl) return;
-    const enabled = !!(lastSelectedEstablishment && lastSelectedEstablishment.id);
-    const submits = formEl.querySelectorAll('button[type="submit"], input[type="submit"]');
-    submits.forEach(btn => {
-        btn.disabled = !enabled;
-        btn.setAttribute('aria-disabled', String(!enabled));
-    });
-}
+// Default controllers: every [data-ftg-form] root, else the product form
+let defaultController = null;
+// FTGForm.on() calls made before the default controller exists
+const pendingSubscriptions = [];
 
-// Updated form submission logic
-function handleFormSubmission(form) {
-    form.addEventListener('submit', function(event) {
-        try {
-            event.preventDefault();
-            const submittedData = {};
-            Object.keys(fields).forEach(fieldName => {
-                const field = fields[fieldName];
-                if (field?.input) {
-                    submittedData[fieldName] = field.input.value;
-                } else if (field?.select) {
-                    submittedData[fieldName] = field.select.value;
-                } else {
-                    console.warn(`Field ${fieldName} is missing input or select element.`);
-                }
-            });
-            console.log('Form submission data:', submittedData);
-            Object.entries(submittedData).forEach(([key, value]) => {
-                if (!value || value.trim() === '') {
-                    console.warn(`Field ${key} has an empty or invalid value:`, value);
-                }
-            });
-        } catch (error) {
-            console.error('Error during form submission:', error);
-        }
+function bootstrapForms() {
+    const marked = Array.from(document.querySelectorAll('[data-ftg-form]'));
+    const roots = marked.length
+        ? marked
+        : [document.getElementById('edit_website_product') || document.querySelector('.form-item')?.closest('form') || document.querySelector('form')].filter(Boolean);
+    roots.forEach(root => {
+        const controller = FTGFormController.getInstance(root) || new FTGFormController(root);
+        if (!defaultController) defaultController = controller;
     });
+    if (defaultController) pendingSubscriptions.splice(0).forEach(([type, handler]) => defaultController.on(type, handler));
+    pruneForeignCacheEntries();
 }
 
-// Updated initialization logic
-$(document).ready(function() {
-    function initializeSystem() {
-        initializeFields();
-        addRedemptionCodeListener();
-        addEstablishmentNameListener();
-
-        const form = document.querySelector('form');
-        if (form) {
-            formEl = form;
-            updateFormSubmitState();
-            handleFormSubmission(form);
-        }
-
-    }
-
-    if (typeof window.Autocomplete !== 'undefined') {
-        initializeSystem();
-    } else {
-        window.addEventListener('autocompleteReady', initializeSystem);
-        setTimeout(() => {
-            if (typeof window.Autocomplete !== 'undefined') {
-                initializeSystem();
-            } else {
-                console.error('Autocomplete class still not available after timeout.');
-            }
-        }, 1000);
-    }
-});
+// Boot on DOM ready; jQuery is not required
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', bootstrapForms, { once: true });
+else bootstrapForms();
 
 /**
- * Minimal public API for optional external control
+ * Minimal public API for optional external control. Methods act on the default
+ * controller; use FTGFormController (or FTGForm.create) for additional forms.
  */
+window.FTGFormController = FTGFormController;
 window.FTGForm = window.FTGForm || {
     reinitialize: () => {
-        try { initializeFields(); } catch (e) { console.error('FTGForm.reinitialize error:', e); }
+        try { defaultController?.reinitialize(); } catch (e) { console.error('FTGForm.reinitialize error:', e); }
     },
     reset: () => {
-        try { clearAndResetForm(); } catch (e) { console.error('FTGForm.reset error:', e); }
+        try { defaultController?.reset(); } catch (e) { console.error('FTGForm.reset error:', e); }
     },
     setMode: (mode) => {
-        try { setMode(mode); } catch (e) { console.error('FTGForm.setMode error:', e); }
+        try { defaultController?.setMode(mode); } catch (e) { console.error('FTGForm.setMode error:', e); }
+    },
+    clearCache: () => clearCache().catch(e => { console.error('FTGForm.clearCache error:', e); }),
+    // Teach main.js another enhanced-select library ({ name, detect, setValue, setLocked, notifyChange })
+    registerSelectAdapter: (adapter) => registerSelectAdapter(adapter),
+    // Metrics recorded on this page (see getMetricsSummary) and an immediate beacon flush
+    getMetrics: () => getMetricsSummary(),
+    flushTelemetry: () => flushTelemetry(),
+    // Switch every form on the page to `locale` (null: follow <html lang> again)
+    setLocale: (locale) => {
+        liveControllers.forEach(controller => {
+            try { controller.setLocale(locale); } catch (e) { console.error('FTGForm.setLocale error:', e); }
+        });
+    },
+    // Register or extend a locale bundle; forms already showing that locale re-render
+    addMessages: (locale, messages) => {
+        addMessages(locale, messages);
+        liveControllers.forEach(controller => controller.relocalize());
+    },
+    // QA preview: evaluate every form's schedule as if it were `now` (null: the real clock)
+    setNow: (now) => {
+        setScheduleNow(now);
+        liveControllers.forEach(controller => {
+            try { controller.applySchedule(); } catch (e) { console.error('FTGForm.setNow error:', e); }
+        });
     },
-    get config() { return { ...CFG }; },
+    getAvailableModes: () => defaultController ? defaultController.getAvailableModes() : [],
+    on: (type, handler) => {
+        if (defaultController) defaultController.on(type, handler);
+        else pendingSubscriptions.push([type, handler]);
+    },
+    off: (type, handler) => {
+        const index = pendingSubscriptions.findIndex(([t, h]) => t === type && h === handler);
+        if (index >= 0) pendingSubscriptions.splice(index, 1);
+        defaultController?.off(type, handler);
+    },
+    create: (rootEl, config) => new FTGFormController(rootEl, config),
+    getInstance: (rootEl) => FTGFormController.getInstance(rootEl),
+    get instance() { return defaultController; },
+    get config() { return { ...(defaultController ? defaultController.config : CFG) }; },
 };
 
 // Simplified resetField function
@@ -859,11 +4379,20 @@ function resetField(field) {
         const element = field.input || field.select;
         if (element) {
             logger('debug', 'resetField', 'Reset field', { name: element.name, previous: element.value });
-            element.value = '';
             if (field.select) {
-                field.select.selectedIndex = 0;
-                field.select.dispatchEvent(new Event('change', { bubbles: true }));
+                withSelectAdapter(field.select, 'setValue', field.select.multiple ? [] : '');
+                withSelectAdapter(field.select, 'notifyChange');
+            } else {
+                element.value = '';
             }
+        } else if (field.choices) {
+            // Radios and checkboxes are unchecked; a swatch picker always shows some variant, so it is left as is
+            logger('debug', 'resetField', 'Reset choices', { control: field.control, previous: choiceFieldValue(field) });
+            field.choices.forEach(el => {
+                if (!el.matches('input')) return;
+                setChoiceChecked(el, false);
+                syncChoiceMirror(el);
+            });
         } else {
             console.warn('Field does not have input or select element:', field);
         }
@@ -872,35 +4401,157 @@ function resetField(field) {
     }
 }
 
-// Simplified preventEdit function
-function preventEdit(field) {
+// Hidden input that submits a locked (disabled) control's value under its name
+function createLockedMirror(name, value) {
+    const mirror = document.createElement('input');
+    mirror.type = 'hidden';
+    mirror.name = name;
+    mirror.value = value;
+    mirror.setAttribute('data-ftg-locked-mirror', '');
+    return mirror;
+}
+
+// A locked radio/checkbox is disabled, so a mirror right after it submits its value while it is checked
+function syncChoiceMirror(el) {
+    if (!el.matches('input') || !el.name) return;
+    const next = el.nextElementSibling;
+    let mirror = next && next.matches('input[data-ftg-locked-mirror]') && next.name === el.name ? next : null;
+    if (el.hasAttribute('data-ftg-locked') && el.checked) {
+        if (!mirror) {
+            mirror = createLockedMirror(el.name, el.value);
+            el.insertAdjacentElement('afterend', mirror);
+        }
+        mirror.value = el.value;
+    } else if (mirror) {
+        mirror.remove();
+    }
+}
+
+// A locked select is disabled, so hidden mirrors right after it submit its selected options
+// (one per option, as a multiple select would); unlocked selects just lose their mirrors
+function syncSelectMirrors(select) {
+    select.parentNode?.querySelectorAll(':scope > input[data-ftg-locked-mirror]').forEach(mirror => {
+        if (mirror.name === select.name) mirror.remove();
+    });
+    if (!select.name || !select.hasAttribute('data-ftg-locked')) return;
+    let anchor = select;
+    Array.from(select.selectedOptions || []).forEach(option => {
+        const mirror = createLockedMirror(select.name, option.value);
+        anchor.insertAdjacentElement('afterend', mirror);
+        anchor = mirror;
+    });
+}
+
+/**
+ * Lock a field against mouse and keyboard edits while its value is still submitted: inputs become
+ * readonly; selects are disabled (through their enhanced-select adapter) and hidden inputs with the same name carry
+ * the selected values; radios/checkboxes are disabled with a mirror per checked one; swatches get aria-disabled
+ * and ignore clicks. `description` (string or catalog message) is attached through aria-describedby.
+ */
+function preventEdit(field, description = { key: 'locked.description' }) {
     if (!field) return;
-    const el = field.select || field.input;
-    if (!el) return;
+    const el = field.select || field.input || field.choices?.[0];
+    if (!el || el.hasAttribute('data-ftg-locked')) return;
+    // Choice groups lock (and describe) every option
+    const group = !field.select && !field.input;
+    const targets = group ? field.choices : [el];
+    targets.forEach(target => target.setAttribute('data-ftg-locked', ''));
+    ensureLoaderStyles();
 
-    // For Select2 selects, use jQuery event-based disabling and styling
-    if (field.select && window.jQuery && window.jQuery(field.select).hasClass('select2-hidden-accessible')) {
-        const $select = window.jQuery(field.select);
-        $select.on('select2:opening select2:unselecting', function(e) {
-            e.preventDefault();
+    if (field.select) {
+        const select = field.select;
+        if (select.name) {
+            syncSelectMirrors(select);
+            const syncMirror = () => syncSelectMirrors(select);
+            select.addEventListener('change', syncMirror);
+            lockedMirrorSyncs.set(select, syncMirror);
+        }
+        withSelectAdapter(select, 'setLocked', true);
+    } else if (!group) {
+        el.readOnly = true;
+        el.setAttribute('aria-readonly', 'true');
+    } else {
+        field.choices.forEach(choice => {
+            if (choice.matches('input')) {
+                choice.disabled = true;
+                syncChoiceMirror(choice);
+            } else {
+                choice.setAttribute('aria-disabled', 'true');
+                choice.addEventListener('click', blockLockedChoiceClick, true);
+            }
         });
-        $select.on('keydown', function(e) {
-            e.preventDefault();
+    }
+    targets.forEach(target => target.classList.add('ftg-locked'));
+
+    if (description) {
+        const hint = document.createElement('span');
+        hint.id = `ftg-locked-${++lockedHintCount}`;
+        hint.className = 'ftg-sr-only';
+        hint.setAttribute('data-ftg-locked-hint', '');
+        if (group) (field.wrapper || el.parentNode).appendChild(hint);
+        else el.insertAdjacentElement('afterend', hint);
+        renderMessage(hint, description);
+        targets.forEach(target => {
+            const describedBy = (target.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            target.setAttribute('aria-describedby', [...describedBy, hint.id].join(' '));
         });
-        $select.next('.select2-container').css({
-            'pointer-events': 'none',
-            'opacity': '0.5',
+    }
+}
+let lockedHintCount = 0;
+let errorMessageCount = 0;
+// Locked select -> the change listener syncing its mirrors, removed again by allowEdit
+const lockedMirrorSyncs = new WeakMap();
+
+// Undo preventEdit (the field is editable in the new mode)
+function allowEdit(field) {
+    const el = field?.select || field?.input || field?.choices?.[0];
+    if (!el || !el.hasAttribute('data-ftg-locked')) return;
+    const group = !field.select && !field.input;
+    const targets = group ? field.choices : [el];
+    targets.forEach(target => target.removeAttribute('data-ftg-locked'));
+    if (field.select) {
+        const select = field.select;
+        const syncMirror = lockedMirrorSyncs.get(select);
+        if (syncMirror) {
+            select.removeEventListener('change', syncMirror);
+            lockedMirrorSyncs.delete(select);
+        }
+        syncSelectMirrors(select);
+        withSelectAdapter(select, 'setLocked', false);
+    } else if (!group) {
+        el.readOnly = false;
+        el.removeAttribute('aria-readonly');
+    } else {
+        field.choices.forEach(choice => {
+            if (choice.matches('input')) {
+                choice.disabled = false;
+                syncChoiceMirror(choice);
+            } else {
+                choice.removeAttribute('aria-disabled');
+                choice.removeEventListener('click', blockLockedChoiceClick, true);
+            }
         });
-        // Also set aria-disabled for accessibility
-        $select.attr('aria-disabled', 'true');
-        return;
     }
+    const hintIds = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && document.getElementById(id)?.hasAttribute('data-ftg-locked-hint'));
+    targets.forEach(target => {
+        target.classList.remove('ftg-locked');
+        const remaining = (target.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && !hintIds.includes(id));
+        if (remaining.length) target.setAttribute('aria-describedby', remaining.join(' '));
+        else target.removeAttribute('aria-describedby');
+    });
+    hintIds.forEach(id => document.getElementById(id)?.remove());
+}
 
-    // Fallback for non-Select2 elements
-    el.setAttribute('aria-disabled', 'true');
-    el.style.pointerEvents = 'none';
-    el.style.opacity = '0.5';
-    el.style.backgroundColor = '#e9ecef';
-    el.style.color = '#6c757d';
+// Copy locked controls' current values into their hidden mirrors (values set without a change event)
+function syncLockedMirrors(root) {
+    if (!root) return;
+    root.querySelectorAll('select[data-ftg-locked]').forEach(syncSelectMirrors);
+    root.querySelectorAll('input[type="radio"][data-ftg-locked], input[type="checkbox"][data-ftg-locked]').forEach(syncChoiceMirror);
+}
 
-}
\ No newline at end of file
+// Whether a mutation added or removed field markup (the hidden inputs main.js writes itself do not count)
+const FIELD_MARKUP_SELECTOR = '.form-item, select, input:not([type="hidden"])';
+function touchesFormControls(mutation) {
+    return [...mutation.addedNodes, ...mutation.removedNodes].some(node => node.nodeType === 1
+        && (node.matches(FIELD_MARKUP_SELECTOR) || !!node.querySelector(FIELD_MARKUP_SELECTOR)));
+}